@@ -26,6 +26,18 @@ function saveConfig(config) {
   fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
 }
 
+// The connection module, pointed at this project's Dapbase folder
+function openDapbase() {
+  const db = require('../templates/dapbase.connection.js');
+  db.configure({ root: DAPBASE_DIR });
+  return db;
+}
+
+// Read a .table file, decrypting it when the database is encrypted at rest
+function readTable(tablePath) {
+  return openDapbase().readTableFile(tablePath);
+}
+
 function ensureDirectories() {
   if (!fs.existsSync(DAPBASE_DIR)) {
     fs.mkdirSync(DAPBASE_DIR, { recursive: true });
@@ -111,8 +123,8 @@ module.exports = db;
 // 2. list command
 async function list() {
   const config = loadConfig();
-  const databases = fs.readdirSync(DAPBASE_DIR)
-    .filter(f => fs.statSync(path.join(DAPBASE_DIR, f)).isDirectory() && !f.startsWith('.'));
+  const db = openDapbase();
+  const databases = await db.listDatabases();
 
   console.log(chalk.cyan.bold(`\n📊 Dapbase in project: ${config.project}`));
   console.log(chalk.gray(`Default database: ${config.defaultDatabase}`));
@@ -124,26 +136,30 @@ async function list() {
   }
 
   for (const dbName of databases) {
-    const dbPath = path.join(DAPBASE_DIR, dbName);
-    const tables = fs.readdirSync(dbPath).filter(f => f.endsWith('.table'));
+    await db.use(dbName, { silent: true });
+    const tables = await db.listTables();
     
     console.log(chalk.bold(dbName === config.defaultDatabase ? '★ ' + dbName : '  ' + dbName));
     
     if (tables.length === 0) {
       console.log(chalk.gray('   (no tables)'));
     } else {
-      for (const tableFile of tables) {
-        const tablePath = path.join(dbPath, tableFile);
-        const tableData = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-        const tableName = tableFile.replace('.table', '');
-        const rowCount = tableData.rows.length;
-        const colCount = Object.keys(tableData.columns || {}).length;
+      for (const tableName of tables) {
+        let tableData;
+        try {
+          tableData = await db.describeTable(tableName);
+        } catch (error) {
+          console.log(chalk.white(`   📁 ${tableName}`));
+          console.log(chalk.red(`      ✗ ${error.message}`));
+          continue;
+        }
+        const colCount = Object.keys(tableData.columns).length;
         
         console.log(chalk.white(`   📁 ${tableName}`));
-        console.log(chalk.gray(`      Columns: ${colCount}, Rows: ${rowCount}`));
+        console.log(chalk.gray(`      Columns: ${colCount}, Rows: ${tableData.rowCount}`));
         
         // Show schema info
-        Object.entries(tableData.columns || {}).forEach(([colName, colDef]) => {
+        Object.entries(tableData.columns).forEach(([colName, colDef]) => {
           const constraints = [];
           if (colDef.unique) constraints.push('unique');
           if (colDef.required) constraints.push('required');
@@ -154,12 +170,15 @@ async function list() {
         });
         
         // Show relationships
-        if (tableData.relationships && Object.keys(tableData.relationships).length > 0) {
+        if (Object.keys(tableData.relationships).length > 0) {
           console.log(chalk.cyan(`        Relationships:`));
           Object.entries(tableData.relationships).forEach(([field, rel]) => {
             console.log(chalk.cyan(`          ${field} → ${rel.foreignTable}.${rel.foreignKey}`));
           });
         }
+        if (tableData.referencedBy.length > 0) {
+          console.log(chalk.gray(`        Referenced by: ${tableData.referencedBy.map(ref => `${ref.table}.${ref.field}`).join(', ')}`));
+        }
       }
     }
   }
@@ -197,12 +216,36 @@ async function backup(args) {
   const config = loadConfig();
   ensureDirectories();
 
-  let backupName = args[0];
+  let backupName = args.find(arg => !arg.startsWith('--'));
   if (!backupName) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     backupName = `backup-${timestamp}.zip`;
   }
 
+  const databases = fs.readdirSync(DAPBASE_DIR)
+    .filter(f => fs.statSync(path.join(DAPBASE_DIR, f)).isDirectory() && !f.startsWith('.'));
+
+  // Encrypted tables are archived as they are; make sure the key still opens them first
+  if (config.encryptionAtRest) {
+    for (const dbName of databases) {
+      const dbPath = path.join(DAPBASE_DIR, dbName);
+      for (const tableFile of fs.readdirSync(dbPath).filter(f => f.endsWith('.table'))) {
+        try {
+          readTable(path.join(dbPath, tableFile));
+        } catch (error) {
+          console.log(chalk.red(`✗ Backup aborted: ${dbName}/${tableFile}: ${error.message}`));
+          return;
+        }
+      }
+    }
+  }
+
+  const includeKey = args.includes('--include-key');
+  if (config.encryptionAtRest && !includeKey) {
+    console.log(chalk.yellow('⚠ The encryption key is not part of this backup; keep Dapbase/.encryption.key safe separately'));
+    console.log(chalk.gray('  (pass --include-key to store it in the archive)'));
+  }
+
   const backupPath = path.join(BACKUPS_DIR, backupName);
   const output = fs.createWriteStream(backupPath);
   const archive = archiver('zip', { zlib: { level: 9 } });
@@ -223,16 +266,14 @@ async function backup(args) {
     archive.pipe(output);
 
     // Add all databases
-    const databases = fs.readdirSync(DAPBASE_DIR)
-      .filter(f => fs.statSync(path.join(DAPBASE_DIR, f)).isDirectory() && !f.startsWith('.'));
-
     databases.forEach(dbName => {
       archive.directory(path.join(DAPBASE_DIR, dbName), `databases/${dbName}`);
     });
 
-    // Add config files
+    // Add config files. Tables encrypted at rest are only opaque if the key travels
+    // separately, so it is left out unless asked for.
     archive.file(CONFIG_PATH, { name: 'config/dapbase.config.json' });
-    if (fs.existsSync(ENCRYPTION_KEY_PATH)) {
+    if (fs.existsSync(ENCRYPTION_KEY_PATH) && (!config.encryptionAtRest || includeKey)) {
       archive.file(ENCRYPTION_KEY_PATH, { name: 'config/.encryption.key' });
     }
 
@@ -242,6 +283,8 @@ async function backup(args) {
       version: config.version,
       project: config.project,
       environment: config.environment,
+      encryptionAtRest: config.encryptionAtRest === true,
+      includesKey: fs.existsSync(ENCRYPTION_KEY_PATH) && (!config.encryptionAtRest || includeKey),
       databases: databases
     };
     archive.append(JSON.stringify(metadata, null, 2), { name: 'metadata.json' });
@@ -365,7 +408,7 @@ async function listBackups() {
 }
 
 // 7. encrypt command
-async function encryptDatabase() {
+async function encryptDatabase(args = []) {
   const config = loadConfig();
   
   if (!config.encryptionEnabled) {
@@ -374,6 +417,22 @@ async function encryptDatabase() {
     return;
   }
 
+  if (args.includes('--rotate')) {
+    await rotateEncryptionKey(config);
+    return;
+  }
+
+  if (args.includes('--at-rest')) {
+    await encryptAtRest(config);
+    return;
+  }
+
+  if (fs.existsSync(ENCRYPTION_KEY_PATH)) {
+    console.log(chalk.green('✓ Encryption key found: Dapbase/.encryption.key'));
+    console.log(chalk.gray('  Run "npx dapbase encrypt --rotate" to replace it and re-encrypt all data'));
+    return;
+  }
+
   const { key } = await inquirer.prompt([{
     type: 'password',
     name: 'key',
@@ -382,14 +441,108 @@ async function encryptDatabase() {
   }]);
 
   const encryptionKey = key || crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(ENCRYPTION_KEY_PATH, encryptionKey, { mode: 0o600 });
   
-  // In a real implementation, this would encrypt all table files
   console.log(chalk.green('✓ Database encryption ready'));
-  console.log(chalk.gray('  (Encryption will be applied during write operations)'));
-  
-  if (!key) {
-    console.log(chalk.yellow('  Generated key (save this!):', encryptionKey));
+  console.log(chalk.gray('  Key saved to Dapbase/.encryption.key — encrypted fields use it from now on'));
+}
+
+// encrypt --rotate: re-encrypt every database with new keys, one per key name the
+// tables use ("default", plus names such as "hr" kept in .encryption.hr.key).
+// Each new key is kept in "<key file>.next" until every database is done, so an
+// interrupted rotation resumes with the same key when the command is re-run.
+// The replaced key is kept in "<key file>.prev": processes still running with it
+// may seal values with it, and those stay readable until the next rotation moves them over.
+async function rotateEncryptionKey(config) {
+  if (!fs.existsSync(ENCRYPTION_KEY_PATH)) {
+    console.log(chalk.red('✗ No encryption key to rotate (Dapbase/.encryption.key not found)'));
+    return;
+  }
+
+  const db = openDapbase();
+  const databases = fs.readdirSync(DAPBASE_DIR)
+    .filter(f => fs.statSync(path.join(DAPBASE_DIR, f)).isDirectory() && !f.startsWith('.'));
+
+  // Every key name a table seals fields (or its whole file) with
+  const keyNames = new Set(['default']);
+  if (config.encryptionAtRest && config.encryptionAtRestKey) keyNames.add(config.encryptionAtRestKey);
+  for (const dbName of databases) {
+    const dbPath = path.join(DAPBASE_DIR, dbName);
+    for (const tableFile of fs.readdirSync(dbPath).filter(f => f.endsWith('.table'))) {
+      const encryption = (readTable(path.join(dbPath, tableFile)).options || {}).encryption || {};
+      if (!encryption.fields) continue;
+      keyNames.add(encryption.keyName || 'default');
+      Object.values(encryption.fieldKeys || {}).forEach(name => keyNames.add(name));
+    }
   }
+
+  const skipped = [];
+  for (const keyName of keyNames) {
+    const keyPath = keyName === 'default' ? ENCRYPTION_KEY_PATH : path.join(DAPBASE_DIR, `.encryption.${keyName}.key`);
+    if (!fs.existsSync(keyPath)) {
+      skipped.push(keyName);
+      continue;
+    }
+
+    const nextKeyPath = `${keyPath}.next`;
+    const oldKey = fs.readFileSync(keyPath, 'utf-8').trim();
+
+    if (fs.existsSync(nextKeyPath)) {
+      console.log(chalk.yellow(`Resuming interrupted rotation of key "${keyName}"`));
+    } else {
+      // On disk before anything is sealed with it
+      db.writeFileAtomic(nextKeyPath, crypto.randomBytes(32).toString('hex'), 0o600);
+    }
+    const newKey = fs.readFileSync(nextKeyPath, 'utf-8').trim();
+
+    db.configure({ keys: { [keyName]: oldKey } });
+
+    console.log(chalk.white(`\n  Key "${keyName}":`));
+    for (const dbName of databases) {
+      await db.use(dbName, { silent: true });
+      const result = await db.rotateKey(oldKey, newKey, { keyName });
+      console.log(chalk.green(`    ✓ ${dbName}: ${result.values} value(s) re-encrypted`));
+    }
+
+    db.writeFileAtomic(`${keyPath}.prev`, oldKey, 0o600);
+    fs.renameSync(nextKeyPath, keyPath);
+    console.log(chalk.gray(`    New key written to Dapbase/${path.basename(keyPath)}, the old one kept in ${path.basename(keyPath)}.prev`));
+  }
+
+  config.keyRotatedAt = new Date().toISOString();
+  saveConfig(config);
+
+  console.log(chalk.bold.green('\n✨ Encryption keys rotated'));
+  if (skipped.length > 0) {
+    console.log(chalk.yellow(`  Not rotated (no key file, the key comes from the environment or a key provider): ${skipped.join(', ')}`));
+    console.log(chalk.gray('  Rotate those with db.rotateKey(oldKey, newKey, { keyName })'));
+  }
+  console.log(chalk.yellow('  Restart running processes so they pick up the new keys'));
+  console.log(chalk.yellow('  Backups made before now still need the previous keys'));
+}
+
+// encrypt --at-rest: encrypt every .table file as a whole with the default key
+async function encryptAtRest(config) {
+  if (!fs.existsSync(ENCRYPTION_KEY_PATH) && !process.env.DAPBASE_ENCRYPTION_KEY) {
+    console.log(chalk.red('✗ No encryption key found'));
+    console.log(chalk.yellow('Run "npx dapbase encrypt" first to create one'));
+    return;
+  }
+
+  config.encryptionAtRest = true;
+  saveConfig(config);
+
+  const db = openDapbase();
+  const databases = fs.readdirSync(DAPBASE_DIR)
+    .filter(f => fs.statSync(path.join(DAPBASE_DIR, f)).isDirectory() && !f.startsWith('.'));
+
+  for (const dbName of databases) {
+    await db.use(dbName, { silent: true });
+    await db.applyEncryptionAtRest();
+  }
+
+  console.log(chalk.bold.green('\n✨ Table files are now encrypted at rest'));
+  console.log(chalk.yellow('  Keep Dapbase/.encryption.key safe — without it the data cannot be read'));
 }
 
 // 8. validate command
@@ -408,13 +561,30 @@ async function validate() {
   let errors = 0;
   let warnings = 0;
 
+  // Custom validators live in application code; Dapbase/validators.js may export them by name
+  const dapbase = openDapbase();
+  const validatorsPath = path.join(DAPBASE_DIR, 'validators.js');
+  if (fs.existsSync(validatorsPath)) {
+    for (const [name, fn] of Object.entries(require(validatorsPath))) {
+      dapbase.registerValidator(name, fn);
+    }
+  }
+
   for (const tableFile of tables) {
     const tablePath = path.join(dbPath, tableFile);
-    const tableData = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
     const tableName = tableFile.replace('.table', '');
 
     console.log(chalk.white(`\n  📁 ${tableName}:`));
 
+    let tableData;
+    try {
+      tableData = readTable(tablePath);
+    } catch (error) {
+      errors++;
+      console.log(chalk.red(`    ✗ ${error.message}`));
+      continue;
+    }
+
     // Check schema consistency
     const schema = tableData.columns || {};
     const rows = tableData.rows || [];
@@ -441,39 +611,57 @@ async function validate() {
         }
       }
 
-      // Check type consistency (basic)
-      if (colDef.type) {
-        const typeErrors = rows.filter(row => {
-          if (row[colName] === undefined || row[colName] === null) return false;
-          const value = row[colName];
-          
-          switch (colDef.type) {
-            case 'int':
-            case 'integer':
-              return !Number.isInteger(Number(value));
-            case 'float':
-            case 'number':
-              return isNaN(Number(value));
-            case 'boolean':
-              return typeof value !== 'boolean' && !['true', 'false', '1', '0'].includes(String(value));
-            case 'text':
-            case 'string':
-              return typeof value !== 'string';
-            case 'uuid':
-              return !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
-            default:
-              return false;
-          }
-        });
+      // Check types, value constraints and custom validators with the library's own validator
+      if (colDef.type || colDef.validate) {
+        const { SchemaValidator } = dapbase;
+        const unknown = [].concat(colDef.validate || []).filter(name => !dapbase.hasValidator(name));
+        if (unknown.length > 0) {
+          warnings++;
+          console.log(chalk.yellow(`    ⚠ Validator(s) ${unknown.join(', ')} on "${colName}" not registered; export them from Dapbase/validators.js`));
+        }
+
+        const typeErrors = rows
+          .filter(row => {
+            const value = row[colName];
+            // Encrypted fields are opaque envelopes on disk
+            return !(value && typeof value === 'object' && value.encrypted === true);
+          })
+          .map(row => SchemaValidator.validateValue(row[colName], colDef, colName, { row, ignoreUnknownValidators: true }))
+          .filter(messages => messages.length > 0);
 
         if (typeErrors.length > 0) {
           warnings++;
-          console.log(chalk.yellow(`    ⚠ Type mismatch in column "${colName}" (${colDef.type})`));
-          console.log(chalk.gray(`      ${typeErrors.length} rows have incorrect type`));
+          console.log(chalk.yellow(`    ⚠ Invalid values in column "${colName}" (${colDef.type || 'custom'})`));
+          console.log(chalk.gray(`      ${typeErrors.length} rows failed validation`));
+          console.log(chalk.gray(`      e.g. ${typeErrors[0][0].message}`));
         }
       }
     }
 
+    // Check constraints; encrypted values can't be compared here, so they read as unknown
+    for (const [name, expression] of Object.entries(tableData.checks || {})) {
+      let failing;
+      try {
+        failing = rows.filter(row => {
+          const plain = {};
+          for (const [field, value] of Object.entries(row)) {
+            plain[field] = value && typeof value === 'object' && value.encrypted === true ? null : value;
+          }
+          return dapbase.SchemaValidator.validateChecks(plain, { [name]: expression }).length > 0;
+        });
+      } catch (error) {
+        errors++;
+        console.log(chalk.red(`    ✗ ${error.message}`));
+        continue;
+      }
+
+      if (failing.length > 0) {
+        errors++;
+        console.log(chalk.red(`    ✗ Check "${name}" failed: ${expression}`));
+        console.log(chalk.gray(`      ${failing.length} rows, e.g. ${failing[0].id}`));
+      }
+    }
+
     // Check foreign key constraints
     const relationships = tableData.relationships || {};
     for (const [field, rel] of Object.entries(relationships)) {
@@ -485,7 +673,7 @@ async function validate() {
         continue;
       }
 
-      const foreignTable = JSON.parse(fs.readFileSync(foreignTablePath, 'utf-8'));
+      const foreignTable = readTable(foreignTablePath);
       const foreignValues = new Set(foreignTable.rows.map(row => row[rel.foreignKey]));
       
       const invalidForeignKeys = rows
@@ -510,7 +698,74 @@ async function validate() {
   }
 }
 
-// 9. help command
+// 9. migrate command: create <name> | up | down [steps] | status, with --db <name>
+async function migrate(args = []) {
+  const config = loadConfig();
+  const [action, ...rest] = args;
+
+  const dbFlag = rest.indexOf('--db');
+  const dbName = dbFlag !== -1 ? rest[dbFlag + 1] : config.defaultDatabase;
+  const params = dbFlag !== -1 ? rest.filter((arg, i) => i !== dbFlag && i !== dbFlag + 1) : rest;
+
+  if (!dbName) {
+    console.log(chalk.red('Usage: npx dapbase migrate <create|up|down|status> --db <database>'));
+    process.exit(1);
+  }
+
+  const db = openDapbase();
+  await db.use(dbName, { silent: true });
+
+  switch (action) {
+    case 'create': {
+      if (!params[0]) {
+        console.log(chalk.red('Usage: npx dapbase migrate create <name>'));
+        process.exit(1);
+      }
+      const filePath = db.createMigration(params[0], { silent: true });
+      console.log(chalk.green(`✓ Created ${path.relative(process.cwd(), filePath)}`));
+      break;
+    }
+    case 'up': {
+      const ran = await db.migrateUp({ silent: true });
+      ran.forEach(name => console.log(chalk.green(`  ✓ ${name}`)));
+      console.log(ran.length > 0
+        ? chalk.bold.green(`\n✨ Applied ${ran.length} migration(s) to "${dbName}"`)
+        : chalk.gray(`"${dbName}" is up to date`));
+      break;
+    }
+    case 'down': {
+      const steps = params[0] ? Number(params[0]) : 1;
+      const ran = await db.migrateDown({ steps, silent: true });
+      ran.forEach(name => console.log(chalk.yellow(`  ↩ ${name}`)));
+      console.log(ran.length > 0
+        ? chalk.bold.green(`\n✨ Rolled back ${ran.length} migration(s) in "${dbName}"`)
+        : chalk.gray(`No applied migrations in "${dbName}"`));
+      break;
+    }
+    case 'status': {
+      const status = await db.migrationStatus();
+      console.log(chalk.cyan.bold(`\n🔄 Migrations in: ${dbName}`));
+      if (status.length === 0) {
+        console.log(chalk.gray('  (none) — create one with: npx dapbase migrate create <name>'));
+      }
+      status.forEach(migration => {
+        if (migration.missing) {
+          console.log(chalk.red(`  ✗ ${migration.name} (applied, file missing)`));
+        } else if (migration.applied) {
+          console.log(chalk.green(`  ✓ ${migration.name}`) + chalk.gray(` ${migration.appliedAt}`));
+        } else {
+          console.log(chalk.yellow(`  • ${migration.name} (pending)`));
+        }
+      });
+      break;
+    }
+    default:
+      console.log(chalk.red('Usage: npx dapbase migrate <create|up|down|status> [--db <database>]'));
+      process.exit(1);
+  }
+}
+
+// 10. help command
 function showHelp() {
   console.log(chalk.cyan.bold('\n🌲 Dapbase CLI v1.0.0'));
   console.log(chalk.gray('File-based database with schema validation & relationships\n'));
@@ -522,14 +777,25 @@ function showHelp() {
   console.log('  validate                Validate database schema and constraints');
   console.log('');
   
+  console.log(chalk.white.bold('Migrations:'));
+  console.log('  migrate create <name>   Create a migration file in the default database');
+  console.log('  migrate up              Run pending migrations');
+  console.log('  migrate down [steps]    Roll back the last migration(s)');
+  console.log('  migrate status          Show applied and pending migrations');
+  console.log('  (add --db <name> to target another database)');
+  console.log('');
+  
   console.log(chalk.white.bold('Backup & Recovery:'));
   console.log('  backup [name]           Create backup (optional custom name)');
+  console.log('    --include-key         Also store the encryption key (left out when encrypted at rest)');
   console.log('  restore <file>          Restore from backup file');
   console.log('  list-backups            List all available backups');
   console.log('');
   
   console.log(chalk.white.bold('Security:'));
   console.log('  encrypt                 Enable/configure database encryption');
+  console.log('  encrypt --rotate        Re-encrypt all data with a new key');
+  console.log('  encrypt --at-rest       Encrypt whole table files on disk');
   console.log('');
   
   console.log(chalk.white.bold('Examples:'));
@@ -593,11 +859,14 @@ async function main() {
         await listBackups();
         break;
       case 'encrypt':
-        await encryptDatabase();
+        await encryptDatabase(args.slice(1));
         break;
       case 'validate':
         await validate();
         break;
+      case 'migrate':
+        await migrate(args.slice(1));
+        break;
       case 'help':
       default:
         showHelp();
@@ -5,11 +5,53 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const os = require('os');
 
 const DAPBASE_ROOT = __dirname;
 let currentDb = null;
 let currentDbPath = null;
 
+// Runtime settings, changed through db.configure()
+const settings = {
+  root: DAPBASE_ROOT,      // folder holding the databases, config and key files
+  keys: {},                // encryption keys by name, e.g. { default: '...', pii: '...' }
+  keyProvider: null,       // (name, { table, field }) => key, consulted before everything else
+  lockTimeout: 10000,      // ms to wait for a table lock before giving up
+  lockStale: 60000,        // ms after which a lock from another host is considered abandoned
+  lockRetryInterval: 25    // ms between lock attempts
+};
+
+class LockTimeoutError extends Error {
+  constructor(lockPath, timeout) {
+    super(`Timed out after ${timeout}ms waiting for lock "${path.basename(lockPath)}"`);
+    this.name = 'LockTimeoutError';
+    this.code = 'ELOCKTIMEOUT';
+    this.lockPath = lockPath;
+  }
+}
+
+class DapbaseEncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DapbaseEncryptionError';
+    this.code = 'EENCRYPTION';
+  }
+}
+
+// A row that failed schema validation. `errors` holds one entry per problem:
+// { field, rule, message } where `field` is a column path ('address.city', 'tags[2]'),
+// or null for a check constraint (which also names the `check`).
+class DapbaseValidationError extends Error {
+  constructor(errors, { table = null, rowId = null, message = null } = {}) {
+    super(message || `Schema validation failed:\n${errors.map(error => error.message).join('\n')}`);
+    this.name = 'DapbaseValidationError';
+    this.code = 'EVALIDATION';
+    this.table = table;
+    this.rowId = rowId;
+    this.errors = errors;
+  }
+}
+
 // Schema validation types and constraints
 const validators = {
   types: {
@@ -23,14 +65,32 @@ const validators = {
     uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
     timestamp: (value) => !isNaN(Date.parse(value)),
     date: (value) => !isNaN(Date.parse(value)),
+    // Stored JSON: a string that parses, or a value that serializes
     json: (value) => {
       try {
-        JSON.parse(value);
+        if (typeof value === 'string') JSON.parse(value);
+        else JSON.stringify(value);
         return true;
       } catch {
         return false;
       }
-    }
+    },
+    enum: (value, definition) => Array.isArray(definition.values) && definition.values.includes(value),
+    array: (value) => Array.isArray(value),
+    object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+    email: (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    url: (value) => {
+      if (typeof value !== 'string') return false;
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+    // Kept as a decimal string so values beyond Number.MAX_SAFE_INTEGER survive JSON
+    bigint: (value) => typeof value === 'bigint' ||
+      (typeof value === 'string' && /^-?\d+$/.test(value)) ||
+      Number.isSafeInteger(value)
   },
 
   constraints: {
@@ -45,303 +105,3482 @@ const validators = {
   }
 };
 
-class SchemaValidator {
-  static validateRow(row, schema, existingRows = []) {
-    const errors = [];
-    const validatedRow = { ...row };
+// Column validators, registered by name with db.registerValidator() and referenced from
+// column definitions ({ validate: 'strongPassword' }) so the schema stays serializable
+const customValidators = new Map(); // name -> fn(value, { row, column, definition })
 
-    // Check each column in schema
-    for (const [column, definition] of Object.entries(schema)) {
-      const value = row[column];
-      const isNew = !existingRows.some(r => r.id === row.id);
-      const existingValues = existingRows.map(r => r[column]);
+// Checked when a column is defined, so a broken definition fails there instead of on every write:
+// column definitions are written to the .table file, where a function would be dropped,
+// and an enum needs the values it allows
+function assertColumnDefinition(column, definition) {
+  if (!definition || typeof definition !== 'object') return;
 
-      // Type validation
-      if (definition.type && value !== undefined && value !== null) {
-        const typeValidator = validators.types[definition.type];
-        if (typeValidator && !typeValidator(value)) {
-          errors.push(`Column "${column}": Expected type "${definition.type}", got "${typeof value}"`);
-        }
-      }
+  if (definition.type === 'enum' && !(Array.isArray(definition.values) && definition.values.length > 0)) {
+    throw new Error(`Column "${column}": an enum needs a non-empty "values" array`);
+  }
+  if (definition.validate !== undefined) {
+    const names = Array.isArray(definition.validate) ? definition.validate : [definition.validate];
+    if (names.some(name => typeof name !== 'string')) {
+      throw new Error(`Column "${column}": "validate" takes validator names; register functions with db.registerValidator(name, fn)`);
+    }
+  }
+  if (definition.items) assertColumnDefinition(`${column}[]`, definition.items);
+  for (const [property, propertyDefinition] of Object.entries(definition.properties || {})) {
+    assertColumnDefinition(`${column}.${property}`, propertyDefinition);
+  }
+}
 
-      // Required constraint
-      if (definition.required && (value === undefined || value === null)) {
-        errors.push(`Column "${column}" is required`);
+// Lifecycle hooks, registered per table (or '*' for every table) with db.hook()
+const HOOK_EVENTS = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+const hooks = new Map(); // "table:event" -> [fn]
+
+function hooksFor(tableName, event) {
+  return [...(hooks.get(`*:${event}`) || []), ...(hooks.get(`${tableName}:${event}`) || [])];
+}
+
+// Crash-safe file writes
+// A file is written to "<file>.<pid>-<token>.tmp", fsynced and renamed over the original,
+// so a reader (or a crash) only ever sees the old or the new contents. Commits that
+// touch several files first write a journal naming every temp file; once the journal
+// is on disk the commit is decided, and recoverDatabase() finishes it after a crash.
+const JOURNAL_PREFIX = '.dapbase-journal-';
+const ROTATION_FILE = '.dapbase-rotation.json';
+const TEMP_FILE_PATTERN = /\.(\d+)(?:-([0-9a-f]+))?\.tmp$/;
+let journalSeq = 0;
+
+// Pids are reused (a restarted container often runs node as pid 1 again), so files that
+// name their owner also carry this random token: our pid with another token is a dead process
+const PROCESS_TOKEN = crypto.randomBytes(8).toString('hex');
+
+function isProcessAlive(pid, token) {
+  if (pid === process.pid) return token === PROCESS_TOKEN;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function fsyncDir(dirPath) {
+  // Directories can't be opened for fsync on every platform (e.g. Windows)
+  try {
+    const fd = fs.openSync(dirPath, 'r');
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+function writeTempFile(filePath, contents, mode = 0o666) {
+  const tempPath = `${filePath}.${process.pid}-${PROCESS_TOKEN}.tmp`;
+  const fd = fs.openSync(tempPath, 'w', mode);
+  try {
+    fs.writeFileSync(fd, contents, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return tempPath;
+}
+
+// `mode` is for files that must not be readable by others, such as key files
+function writeFileAtomic(filePath, contents, mode) {
+  const tempPath = writeTempFile(filePath, contents, mode);
+  fs.renameSync(tempPath, filePath);
+  fsyncDir(path.dirname(filePath));
+}
+
+// Apply a journal: move every temp file into place and drop removed files
+function applyJournal(dbPath, journal) {
+  for (const entry of journal.entries) {
+    const targetPath = path.join(dbPath, entry.target);
+    if (entry.remove) {
+      if (fs.existsSync(targetPath)) fs.unlinkSync(targetPath);
+    } else {
+      const tempPath = path.join(dbPath, entry.temp);
+      if (fs.existsSync(tempPath)) fs.renameSync(tempPath, targetPath);
+    }
+  }
+  fsyncDir(dbPath);
+}
+
+// Write a set of files in one database folder all-or-nothing.
+// `changes` maps absolute file paths to new contents, or null to delete the file.
+function commitFiles(dbPath, changes) {
+  const entries = [...changes.entries()];
+  if (entries.length === 0) return;
+
+  if (entries.length === 1 && entries[0][1] !== null) {
+    writeFileAtomic(entries[0][0], entries[0][1]);
+    return;
+  }
+
+  const journal = { pid: process.pid, token: PROCESS_TOKEN, createdAt: new Date().toISOString(), entries: [] };
+  try {
+    for (const [filePath, contents] of entries) {
+      const target = path.relative(dbPath, filePath);
+      if (contents === null) {
+        journal.entries.push({ target, remove: true });
+      } else {
+        journal.entries.push({ target, temp: path.relative(dbPath, writeTempFile(filePath, contents)) });
       }
+    }
+  } catch (error) {
+    // Nothing is decided yet: throw away what was written
+    for (const entry of journal.entries) {
+      if (entry.temp) fs.rmSync(path.join(dbPath, entry.temp), { force: true });
+    }
+    throw error;
+  }
 
-      // Unique constraint
-      if (definition.unique && value !== undefined && value !== null) {
-        if (existingValues.includes(value) && isNew) {
-          errors.push(`Column "${column}" must be unique. Value "${value}" already exists`);
-        }
+  const journalPath = path.join(dbPath, `${JOURNAL_PREFIX}${process.pid}-${++journalSeq}.json`);
+  writeFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+
+  applyJournal(dbPath, journal);
+  fs.unlinkSync(journalPath);
+}
+
+// Finish commits interrupted by a crash and discard orphaned temp files
+function recoverDatabase(dbPath) {
+  const files = fs.readdirSync(dbPath);
+  const recovered = [];
+
+  for (const file of files.filter(f => f.startsWith(JOURNAL_PREFIX))) {
+    const journalPath = path.join(dbPath, file);
+    let journal;
+    try {
+      journal = JSON.parse(fs.readFileSync(journalPath, 'utf-8'));
+    } catch {
+      // An unreadable journal was never committed
+      fs.unlinkSync(journalPath);
+      continue;
+    }
+
+    if (isProcessAlive(journal.pid, journal.token)) continue;
+
+    applyJournal(dbPath, journal);
+    fs.unlinkSync(journalPath);
+    recovered.push(file);
+  }
+
+  for (const file of fs.readdirSync(dbPath)) {
+    const match = file.match(TEMP_FILE_PATTERN);
+    if (match && !isProcessAlive(Number(match[1]), match[2])) {
+      fs.unlinkSync(path.join(dbPath, file));
+    }
+  }
+
+  return recovered;
+}
+
+// Advisory cross-process locks
+// A lock is a "<file>.lock" file created exclusively and holding the owner's pid, token and host.
+// Locks left behind by a dead process on this host (or older than settings.lockStale on
+// another host) are stale and get taken over.
+function isStaleLock(lockPath) {
+  let owner;
+  try {
+    owner = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    // Unreadable lock: the owner died while writing it, or is still writing it
+    owner = {};
+  }
+
+  if (owner.host === os.hostname() && owner.pid) {
+    return !isProcessAlive(owner.pid, owner.token);
+  }
+
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > settings.lockStale;
+  } catch {
+    return false;
+  }
+}
+
+// Resolves with a release function once the lock on `filePath` is held
+async function acquireLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+  const owner = JSON.stringify({ pid: process.pid, token: PROCESS_TOKEN, host: os.hostname(), createdAt: new Date().toISOString() });
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (isStaleLock(lockPath)) {
+      // Move it aside first so two processes can't both clear it and then both lock
+      const stalePath = `${lockPath}.${process.pid}.stale`;
+      try {
+        fs.renameSync(lockPath, stalePath);
+        fs.rmSync(stalePath, { force: true });
+      } catch {
+        // Someone else already took it over
       }
+      continue;
+    }
 
-      // Min/Max for numbers
-      if (definition.min !== undefined && value !== undefined && value !== null) {
-        if (value < definition.min) {
-          errors.push(`Column "${column}": Value ${value} is less than minimum ${definition.min}`);
-        }
+    if (Date.now() - startedAt >= settings.lockTimeout) {
+      throw new LockTimeoutError(lockPath, settings.lockTimeout);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, settings.lockRetryInterval));
+  }
+}
+
+// Tables of one database are locked referenced-first: the tables a table's foreign keys
+// point at before the table itself, names breaking ties (and cycles). Writers that all
+// follow this order can't end up waiting on each other. `tables` maps names to relationships.
+function lockOrder(tables) {
+  const pending = [...tables.keys()].sort();
+  const ordered = [];
+  while (pending.length > 0) {
+    const next = pending.find(name => Object.values(tables.get(name) || {})
+      .every(rel => rel.foreignTable === name || !pending.includes(rel.foreignTable))) || pending[0];
+    ordered.push(next);
+    pending.splice(pending.indexOf(next), 1);
+  }
+  return ordered;
+}
+
+// Where clauses
+// Keys are column names or dotted paths into json columns ('address.city'); $and, $or,
+// $nor and $not combine whole clauses. JSON stored as a string is parsed on the way down.
+function getFieldValue(row, fieldPath) {
+  if (row === undefined || row === null) return undefined;
+  if (!fieldPath.includes('.') || fieldPath in Object(row)) return row[fieldPath];
+
+  let value = row;
+  for (const segment of fieldPath.split('.')) {
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        return undefined;
       }
-      if (definition.max !== undefined && value !== undefined && value !== null) {
-        if (value > definition.max) {
-          errors.push(`Column "${column}": Value ${value} exceeds maximum ${definition.max}`);
-        }
+    }
+    if (value === undefined || value === null || typeof value !== 'object') return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+// $like/$ilike match a substring, or an SQL-style pattern when it contains "%"
+function matchesLike(value, pattern, ignoreCase) {
+  const text = ignoreCase ? String(value).toLowerCase() : String(value);
+  const search = ignoreCase ? String(pattern).toLowerCase() : String(pattern);
+
+  if (!search.includes('%')) return text.includes(search);
+
+  const source = search
+    .split('%')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 's').test(text);
+}
+
+function clauseList(operator, clauses) {
+  if (!Array.isArray(clauses)) throw new Error(`${operator} expects an array of conditions`);
+  return clauses;
+}
+
+function matchesCondition(value, condition) {
+  if (condition === undefined || condition === null) {
+    return value === condition;
+  }
+  
+  // Handle operator syntax: { age: { $gt: 18 } }
+  if (typeof condition === 'object' && !Array.isArray(condition)) {
+    const present = value !== undefined && value !== null;
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        case '$between': return Array.isArray(operand) && value >= operand[0] && value <= operand[1];
+        case '$in': return Array.isArray(operand) && operand.includes(value);
+        case '$nin': return Array.isArray(operand) && !operand.includes(value);
+        case '$exists': return (value !== undefined) === Boolean(operand);
+        case '$like': return present && matchesLike(value, operand, false);
+        case '$ilike': return present && matchesLike(value, operand, true);
+        case '$startsWith': return present && String(value).startsWith(String(operand));
+        case '$endsWith': return present && String(value).endsWith(String(operand));
+        case '$regex': return present && new RegExp(operand).test(String(value));
+        case '$not': return !matchesCondition(value, operand);
+        default: return value === condition;
       }
+    });
+  }
+  
+  // Handle array values
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  
+  // Simple equality
+  return value === condition;
+}
+
+function matchesWhere(row, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    switch (key) {
+      case '$and': return clauseList(key, condition).every(clause => matchesWhere(row, clause));
+      case '$or': return clauseList(key, condition).some(clause => matchesWhere(row, clause));
+      case '$nor': return !clauseList(key, condition).some(clause => matchesWhere(row, clause));
+      case '$not': return !matchesWhere(row, condition);
+      default: return matchesCondition(getFieldValue(row, key), condition);
+    }
+  });
+}
+
+// Columns a where clause reads: every key, and the column a dotted path starts in
+function whereColumns(where, columns = new Set()) {
+  for (const [key, condition] of Object.entries(where)) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      clauseList(key, condition).forEach(clause => whereColumns(clause, columns));
+    } else if (key === '$not') {
+      whereColumns(condition, columns);
+    } else {
+      columns.add(key);
+      columns.add(key.split('.')[0]);
+    }
+  }
+  return columns;
+}
+
+// Ascending order used by orderBy and sorted indexes; null and undefined come first
+function compareValues(aVal, bVal) {
+  if (aVal === bVal) return 0;
+  const aMissing = aVal === undefined || aVal === null;
+  const bMissing = bVal === undefined || bVal === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+  return aVal < bVal ? -1 : 1;
+}
+
+// Updates
+// Plain objects are merged into the row; otherwise every key must be an operator:
+// { $set: { a: 1 }, $inc: { views: 1 }, $push: { tags: 'x' }, $rename: { old: 'new' } }.
+// Array operators work on arrays and on json columns that hold an array as a string.
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$mul', '$push', '$pull', '$rename'];
+
+function updateArray(row, field, operator, change) {
+  const value = row[field];
+  const stored = typeof value === 'string';
+  let items;
+  if (value === undefined || value === null) {
+    items = [];
+  } else if (stored) {
+    try {
+      items = JSON.parse(value);
+    } catch {
+      items = null;
+    }
+  } else {
+    items = value;
+  }
+
+  if (!Array.isArray(items)) {
+    throw new Error(`${operator} on "${field}" needs an array value`);
+  }
+
+  const updated = change(items);
+  return stored ? JSON.stringify(updated) : updated;
+}
+
+// `columns` is the table schema: $inc and $mul on a bigint column count in BigInt
+// bigint columns hold decimal strings that a Number would round
+function bigintUpdate(value, operator, field, operand) {
+  let current;
+  let by;
+  try {
+    current = BigInt(value === undefined || value === null ? 0 : value);
+    by = BigInt(operand);
+  } catch {
+    throw new Error(`${operator} on "${field}" needs integer values`);
+  }
+  return String(operator === '$inc' ? current + by : current * by);
+}
+
+function applyUpdate(row, updates, columns = {}) {
+  const keys = Object.keys(updates);
+  if (!keys.some(key => key.startsWith('$'))) {
+    return { ...row, ...updates };
+  }
+
+  const updated = { ...row };
+  for (const [operator, fields] of Object.entries(updates)) {
+    if (!UPDATE_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown update operator "${operator}" (plain fields can't be mixed with operators)`);
+    }
+    if (!fields || typeof fields !== 'object') {
+      throw new Error(`${operator} expects an object of fields`);
+    }
+
+    for (const [field, operand] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          updated[field] = operand;
+          break;
+        case '$unset':
+          delete updated[field];
+          break;
+        case '$inc':
+        case '$mul': {
+          if (columns[field] && columns[field].type === 'bigint') {
+            updated[field] = bigintUpdate(updated[field], operator, field, operand);
+            break;
+          }
 
-      // Min/Max length for strings
-      if (definition.minLength !== undefined && value !== undefined && value !== null) {
-        if (String(value).length < definition.minLength) {
-          errors.push(`Column "${column}": Length ${String(value).length} is less than minimum ${definition.minLength}`);
+          // Missing values count as 0, as in MongoDB
+          const current = updated[field] === undefined || updated[field] === null ? 0 : Number(updated[field]);
+          if (isNaN(current) || typeof operand !== 'number') {
+            throw new Error(`${operator} on "${field}" needs numeric values`);
+          }
+          updated[field] = operator === '$inc' ? current + operand : current * operand;
+          break;
         }
+        case '$push':
+          updated[field] = updateArray(updated, field, operator, items => [...items, operand]);
+          break;
+        case '$pull':
+          updated[field] = updateArray(updated, field, operator, items =>
+            items.filter(item => !matchesCondition(item, operand))
+          );
+          break;
+        case '$rename':
+          if (field in updated) {
+            updated[operand] = updated[field];
+            delete updated[field];
+          }
+          break;
       }
-      if (definition.maxLength !== undefined && value !== undefined && value !== null) {
-        if (String(value).length > definition.maxLength) {
-          errors.push(`Column "${column}": Length ${String(value).length} exceeds maximum ${definition.maxLength}`);
-        }
+    }
+  }
+  return updated;
+}
+
+// Timestamps are managed by dapbase, so they're kept out of schema validation
+function splitTimestamps(row, table) {
+  const fields = { ...row };
+  const timestamps = {};
+  if (table.options.timestamps) {
+    for (const column of ['createdAt', 'updatedAt']) {
+      if (!table.columns[column] && column in fields) {
+        timestamps[column] = fields[column];
+        delete fields[column];
       }
+    }
+  }
+  return [fields, timestamps];
+}
+
+// Plain field values a where clause pins down ({ email: 'a' } or { email: { $eq: 'a' } })
+function whereEqualities(where) {
+  const values = {};
+  for (const [key, condition] of Object.entries(where)) {
+    if (key.startsWith('$') || key.includes('.')) continue;
+
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      if ('$eq' in condition) values[key] = condition.$eq;
+    } else if (!Array.isArray(condition)) {
+      values[key] = condition;
+    }
+  }
+  return values;
+}
 
-      // Pattern validation
-      if (definition.pattern && value !== undefined && value !== null) {
-        if (!new RegExp(definition.pattern).test(String(value))) {
-          errors.push(`Column "${column}": Value "${value}" doesn't match pattern "${definition.pattern}"`);
+// Schema changes
+// Copy of `object` with key `from` renamed to `to`, keeping the key order
+function renameKey(object, from, to) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+}
+
+// Convert a stored value to a column type for alterColumn; throws if it can't be converted
+function convertValue(value, type) {
+  if (value === undefined || value === null) return value;
+
+  switch (type) {
+    case 'int':
+    case 'integer':
+    case 'float':
+    case 'number': {
+      const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+      if (isNaN(number)) throw new Error(`${JSON.stringify(value)} is not a number`);
+      if ((type === 'int' || type === 'integer') && !Number.isInteger(number)) {
+        throw new Error(`${JSON.stringify(value)} is not an integer`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1'].includes(String(value))) return true;
+      if (['false', '0'].includes(String(value))) return false;
+      throw new Error(`${JSON.stringify(value)} is not a boolean`);
+    case 'text':
+    case 'string':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'array':
+    case 'object':
+      // JSON kept in text columns becomes the real thing
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch {
+          throw new Error(`${JSON.stringify(value)} is not valid JSON`);
         }
       }
+      return value;
+    case 'enum':
+      return value;
+    case 'bigint':
+      if (!/^-?\d+$/.test(String(value))) throw new Error(`${JSON.stringify(value)} is not an integer`);
+      return String(value);
+    default:
+      return typeof value === 'object' ? value : String(value);
+  }
+}
 
-      // Apply default value if needed
-      if (value === undefined && definition.default !== undefined) {
-        validatedRow[column] = typeof definition.default === 'function' 
-          ? definition.default() 
-          : definition.default;
-      }
+// Check constraints
+// Table-level rules stored as expressions: { endAfterStart: 'endDate > startDate' }.
+// Operands are column names (dotted paths reach into json/object columns), numbers,
+// 'strings', true/false/null and [lists]; operators are || && ! == != (=== !== alike)
+// < <= > >= in + - * / % and parentheses. Like SQL CHECK, a missing value makes a
+// comparison unknown rather than false, and a check only fails when it is false.
+const CHECK_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(===|!==|==|!=|<=|>=|&&|\|\||[<>!+\-*\/%()[\],]))/y;
+const CHECK_BINARY = [['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '<=', '>', '>=', 'in'], ['+', '-'], ['*', '/', '%']];
+const parsedChecks = new Map(); // expression -> tree
+
+function tokenizeCheck(expression) {
+  const tokens = [];
+  CHECK_TOKEN.lastIndex = 0;
+  while (CHECK_TOKEN.lastIndex < expression.length) {
+    if (!expression.slice(CHECK_TOKEN.lastIndex).trim()) break;
+    const start = CHECK_TOKEN.lastIndex;
+    const match = CHECK_TOKEN.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid check expression "${expression}": unexpected "${expression.slice(start).trim()[0]}"`);
     }
+    const [text, number, string, name, operator] = match;
+    const position = { start: start + (text.length - text.trimStart().length), end: CHECK_TOKEN.lastIndex };
+    if (number !== undefined) tokens.push({ type: 'literal', value: Number(number), ...position });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1'), ...position });
+    else if (['true', 'false', 'null'].includes(name)) tokens.push({ type: 'literal', value: JSON.parse(name), ...position });
+    else if (name === 'in') tokens.push({ type: 'operator', value: 'in', ...position });
+    else if (name !== undefined) tokens.push({ type: 'field', value: name, ...position });
+    else tokens.push({ type: 'operator', value: operator, ...position });
+  }
+  return tokens;
+}
 
-    // Check for extra fields not in schema
-    for (const field of Object.keys(row)) {
-      if (!schema[field] && field !== 'id') {
-        errors.push(`Field "${field}" is not defined in schema`);
+function parseCheck(expression) {
+  if (parsedChecks.has(expression)) return parsedChecks.get(expression);
+  if (typeof expression !== 'string' || !expression.trim()) throw new Error('Check expression must be a non-empty string');
+
+  const tokens = tokenizeCheck(expression);
+  let position = 0;
+  const fail = (message) => { throw new Error(`Invalid check expression "${expression}": ${message}`); };
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) fail(peek() ? `expected "${value}" before "${expression.slice(peek().start)}"` : `expected "${value}"`);
+    position++;
+  };
+
+  const binary = (level) => {
+    if (level === CHECK_BINARY.length) return unary();
+    let left = binary(level + 1);
+    while (peek() && peek().type === 'operator' && CHECK_BINARY[level].includes(peek().value)) {
+      const op = tokens[position++].value;
+      left = { op, args: [left, binary(level + 1)] };
+    }
+    return left;
+  };
+  const unary = () => {
+    if (isOperator('!') || isOperator('-')) {
+      const op = tokens[position++].value;
+      return { op: op === '-' ? 'neg' : '!', args: [unary()] };
+    }
+    return primary();
+  };
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) fail('unexpected end');
+    if (token.type === 'literal') return { literal: token.value };
+    if (token.type === 'field') return { field: token.value };
+    if (token.value === '(') {
+      const inner = binary(0);
+      expect(')');
+      return inner;
+    }
+    if (token.value === '[') {
+      const items = [];
+      while (!isOperator(']')) {
+        items.push(binary(0));
+        if (!isOperator(']')) expect(',');
       }
+      position++;
+      return { list: items };
     }
+    return fail(`unexpected "${token.value}"`);
+  };
 
-    if (errors.length > 0) {
-      throw new Error(`Schema validation failed:\n${errors.join('\n')}`);
+  const tree = binary(0);
+  if (position < tokens.length) fail(`unexpected "${tokens[position].value}"`);
+  parsedChecks.set(expression, tree);
+  return tree;
+}
+
+// true, false or null (unknown)
+function truthOf(value) {
+  return value === null ? null : Boolean(value);
+}
+
+function evaluateCheck(node, row) {
+  if ('literal' in node) return node.literal;
+  if ('field' in node) {
+    const value = getFieldValue(row, node.field);
+    return value === undefined ? null : value;
+  }
+  if ('list' in node) return node.list.map(item => evaluateCheck(item, row));
+
+  const [a, b] = node.args;
+  switch (node.op) {
+    case '!': {
+      const value = truthOf(evaluateCheck(a, row));
+      return value === null ? null : !value;
     }
+    case '&&':
+    case '||': {
+      const decisive = node.op === '||';
+      const left = truthOf(evaluateCheck(a, row));
+      if (left === decisive) return decisive;
+      const right = truthOf(evaluateCheck(b, row));
+      if (right === decisive) return decisive;
+      return left === null || right === null ? null : !decisive;
+    }
+    case '==':
+    case '===':
+      return evaluateCheck(a, row) === evaluateCheck(b, row);
+    case '!=':
+    case '!==':
+      return evaluateCheck(a, row) !== evaluateCheck(b, row);
+  }
 
-    return validatedRow;
+  const left = evaluateCheck(a, row);
+  const right = b ? evaluateCheck(b, row) : undefined;
+  if (left === null || right === null) return null;
+  switch (node.op) {
+    case 'neg': return -left;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case 'in': return Array.isArray(right) ? right.includes(left) : null;
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
   }
+  return null;
 }
 
-const db = {
-  // Use or create a database folder
-  async use(databaseName) {
-    if (!databaseName || typeof databaseName !== 'string') {
-      throw new Error('Database name must be a non-empty string');
+// Columns an expression reads (the first segment of each path)
+function checkColumns(expression) {
+  return [...new Set(tokenizeCheck(expression).filter(token => token.type === 'field').map(token => token.value.split('.')[0]))];
+}
+
+// `expression` with column `from` renamed to `to`, leaving everything else untouched
+function renameCheckColumn(expression, from, to) {
+  let renamed = expression;
+  for (const token of tokenizeCheck(expression).reverse()) {
+    if (token.type === 'field' && (token.value === from || token.value.startsWith(`${from}.`))) {
+      renamed = renamed.slice(0, token.start) + to + token.value.slice(from.length) + renamed.slice(token.end);
     }
+  }
+  return renamed;
+}
 
-    currentDb = databaseName.trim();
-    currentDbPath = path.join(DAPBASE_ROOT, currentDb);
+// Checks as stored in the .table file; every expression has to parse
+function normalizeChecks(checks = {}) {
+  const normalized = {};
+  for (const [name, expression] of Object.entries(checks || {})) {
+    parseCheck(expression);
+    normalized[name] = expression;
+  }
+  return normalized;
+}
 
-    if (!fs.existsSync(currentDbPath)) {
-      fs.mkdirSync(currentDbPath, { recursive: true });
-      console.log(`Created new database folder: ${currentDb}`);
-    } else {
-      console.log(`Using database: ${currentDb}`);
+// Ordering
+// `orderBy` is 'field', ['field', 'desc'] or a list of columns:
+// [['lastName', 'asc'], ['createdAt', 'desc']]. A column may carry its own collation
+// as a third element ({ caseInsensitive, numeric, locale }); `collation` applies to all.
+function parseOrderBy(orderBy, collation = null) {
+  if (!orderBy || (Array.isArray(orderBy) && orderBy.length === 0)) return [];
+
+  const columns = Array.isArray(orderBy) && (Array.isArray(orderBy[0]) || typeof orderBy[0] === 'object')
+    ? orderBy
+    : [orderBy];
+
+  return columns.map(column => {
+    const [field, direction = 'asc', columnCollation] = Array.isArray(column)
+      ? column
+      : typeof column === 'object' ? [column.field, column.direction, column.collation] : [column];
+
+    if (!field || typeof field !== 'string') throw new Error('orderBy column needs a field name');
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error(`Invalid orderBy direction "${direction}" for "${field}"`);
     }
 
-    return db;
-  },
+    return { field, direction, collation: columnCollation || collation || null };
+  });
+}
 
-  // Create table with enhanced schema definition
-  async createTable(tableName, columns, relationships = {}, options = {}) {
-    if (!currentDbPath) throw new Error('Call db.use("name") first');
-    if (!tableName || typeof tableName !== 'string') throw new Error('Table name required');
-    if (!columns || typeof columns !== 'object') throw new Error('Columns definition required');
+function collatedCompare(collation) {
+  const collator = new Intl.Collator(collation.locale, {
+    numeric: collation.numeric === true,
+    sensitivity: collation.caseInsensitive ? 'accent' : 'variant'
+  });
 
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (fs.existsSync(tablePath)) {
-      throw new Error(`Table "${tableName}" already exists`);
+  return (aVal, bVal) => (typeof aVal === 'string' && typeof bVal === 'string'
+    ? collator.compare(aVal, bVal)
+    : compareValues(aVal, bVal));
+}
+
+function orderKey(row, order) {
+  return order.map(column => getFieldValue(row, column.field));
+}
+
+// Compares two orderKey() arrays column by column
+function keyComparator(order) {
+  const comparers = order.map(column => (column.collation ? collatedCompare(column.collation) : compareValues));
+
+  return (aKey, bKey) => {
+    for (let i = 0; i < order.length; i++) {
+      const comparison = comparers[i](aKey[i], bKey[i]);
+      if (comparison !== 0) return order[i].direction === 'desc' ? -comparison : comparison;
     }
+    return 0;
+  };
+}
 
-    // Enhanced schema format: { column: { type: 'text', unique: true, required: true } }
-    const normalizedColumns = {};
-    for (const [colName, colDef] of Object.entries(columns)) {
-      if (typeof colDef === 'string') {
-        // Simple format: 'text' -> { type: 'text' }
-        normalizedColumns[colName] = { type: colDef };
-      } else if (typeof colDef === 'object') {
-        normalizedColumns[colName] = colDef;
-      } else {
-        throw new Error(`Invalid column definition for "${colName}"`);
+function sortRows(rows, orderBy, collation) {
+  const order = parseOrderBy(orderBy, collation);
+  const compare = keyComparator(order);
+  return rows.sort((a, b) => compare(orderKey(a, order), orderKey(b, order)));
+}
+
+// Keyset pagination needs a total order, so ties are broken by id
+function keysetOrder(orderBy, collation) {
+  const order = parseOrderBy(orderBy, collation);
+  if (!order.some(column => column.field === 'id')) {
+    order.push({ field: 'id', direction: 'asc', collation: null });
+  }
+  return order;
+}
+
+// Cursors are opaque to callers: the last row's order values plus the order they belong to
+function encodeCursor(row, order) {
+  const cursor = {
+    order: order.map(column => `${column.field}:${column.direction}`),
+    values: orderKey(row, order)
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decodeCursor(token, order) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64').toString('utf-8'));
+  } catch {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  const expected = order.map(column => `${column.field}:${column.direction}`);
+  if (!cursor || !Array.isArray(cursor.values) || JSON.stringify(cursor.order) !== JSON.stringify(expected)) {
+    throw new Error('Pagination cursor does not match this orderBy');
+  }
+  return cursor.values;
+}
+
+function projectFields(rows, fields) {
+  return rows.map(row => {
+    const selected = {};
+    fields.forEach(field => {
+      if (row[field] !== undefined) {
+        selected[field] = row[field];
+      }
+    });
+    return selected;
+  });
+}
+
+// Referential actions
+// A relationship may say what happens to referencing rows when the row they point at is
+// deleted (onDelete, default 'restrict') or its key changes (onUpdate, default 'cascade').
+const REFERENTIAL_ACTIONS = ['restrict', 'cascade', 'setNull', 'setDefault'];
+
+function normalizeRelationships(relationships, columns) {
+  const normalized = {};
+  for (const [field, rel] of Object.entries(relationships || {})) {
+    if (!rel || !rel.foreignTable || !rel.foreignKey) {
+      throw new Error(`Relationship "${field}" needs foreignTable and foreignKey`);
+    }
+    if (columns && !columns[field]) throw new Error(`Relationship "${field}" is not a column`);
+    for (const event of ['onDelete', 'onUpdate']) {
+      if (rel[event] !== undefined && !REFERENTIAL_ACTIONS.includes(rel[event])) {
+        throw new Error(`Invalid ${event} action "${rel[event]}" for "${field}" (use ${REFERENTIAL_ACTIONS.join(', ')})`);
+      }
+    }
+    normalized[field] = { ...rel };
+  }
+  return normalized;
+}
+
+// Named relations
+// Declared per table under `relations`, next to the foreign-key `relationships`:
+//   author:   { type: 'belongsTo',  table: 'users', foreignKey: 'user_id', targetKey: 'id' }
+//   comments: { type: 'hasMany',    table: 'comments', foreignKey: 'post_id', localKey: 'id' }
+//   tags:     { type: 'manyToMany', table: 'tags', through: 'post_tags', foreignKey: 'post_id',
+//               otherKey: 'tag_id', localKey: 'id', targetKey: 'id' }
+// `foreignKey` is on the table holding the reference (the pivot table for manyToMany).
+const RELATION_TYPES = ['belongsTo', 'hasMany', 'manyToMany'];
+
+function normalizeRelation(name, relation, columns = {}) {
+  if (!relation || !RELATION_TYPES.includes(relation.type)) {
+    throw new Error(`Relation "${name}" needs a type: ${RELATION_TYPES.join(', ')}`);
+  }
+  if (columns[name]) throw new Error(`Relation "${name}" has the same name as a column`);
+
+  const required = relation.type === 'manyToMany'
+    ? ['table', 'through', 'foreignKey', 'otherKey']
+    : ['table', 'foreignKey'];
+  for (const property of required) {
+    if (!relation[property] || typeof relation[property] !== 'string') {
+      throw new Error(`Relation "${name}" (${relation.type}) needs "${property}"`);
+    }
+  }
+
+  switch (relation.type) {
+    case 'belongsTo':
+      return { type: 'belongsTo', table: relation.table, foreignKey: relation.foreignKey, targetKey: relation.targetKey || 'id' };
+    case 'hasMany':
+      return { type: 'hasMany', table: relation.table, foreignKey: relation.foreignKey, localKey: relation.localKey || 'id' };
+    default:
+      return {
+        type: 'manyToMany',
+        table: relation.table,
+        through: relation.through,
+        foreignKey: relation.foreignKey,
+        otherKey: relation.otherKey,
+        localKey: relation.localKey || 'id',
+        targetKey: relation.targetKey || 'id'
+      };
+  }
+}
+
+// [table, property] pairs for the columns a relation declared on `owner` joins on
+function relationColumns(relation, owner) {
+  switch (relation.type) {
+    case 'belongsTo':
+      return [[owner, 'foreignKey'], [relation.table, 'targetKey']];
+    case 'hasMany':
+      return [[owner, 'localKey'], [relation.table, 'foreignKey']];
+    default:
+      return [[owner, 'localKey'], [relation.through, 'foreignKey'], [relation.through, 'otherKey'], [relation.table, 'targetKey']];
+  }
+}
+
+// include: ['author', 'comments.author', { relation: 'comments', where, orderBy, include }]
+// -> { author: { include: [] }, comments: { where, orderBy, include: ['author'] } }
+function parseInclude(include) {
+  const tree = {};
+  for (const entry of Array.isArray(include) ? include : [include]) {
+    const spec = typeof entry === 'string' ? { relation: entry } : entry;
+    if (!spec || typeof spec.relation !== 'string' || !spec.relation) {
+      throw new Error('include entries must be relation names or { relation, where, orderBy, include }');
+    }
+
+    const [name, ...rest] = spec.relation.split('.');
+    const node = tree[name] = tree[name] || { include: [] };
+    if (rest.length > 0) {
+      node.include.push({ ...spec, relation: rest.join('.') });
+    } else {
+      if (spec.where) node.where = spec.where;
+      if (spec.orderBy) node.orderBy = spec.orderBy;
+      if (spec.include) node.include.push(...(Array.isArray(spec.include) ? spec.include : [spec.include]));
+    }
+  }
+  return tree;
+}
+
+// `where` narrowed to rows whose `field` is one of `values`
+function whereIn(field, values, where) {
+  if (!where) return { [field]: { $in: values } };
+  return field in where ? { $and: [{ [field]: { $in: values } }, where] } : { ...where, [field]: { $in: values } };
+}
+
+// Distinct, non-null values of `field`
+function distinctValues(rows, field) {
+  const values = new Map();
+  for (const row of rows) {
+    const value = row[field];
+    if (value !== undefined && value !== null) values.set(indexKey(value), value);
+  }
+  return [...values.values()];
+}
+
+// Aggregation
+const AGGREGATE_OPERATORS = ['$count', '$sum', '$avg', '$min', '$max'];
+
+function computeMetric(rows, name, spec) {
+  const operators = spec && typeof spec === 'object' ? Object.keys(spec) : [];
+  if (operators.length !== 1 || !AGGREGATE_OPERATORS.includes(operators[0])) {
+    throw new Error(`Metric "${name}" needs exactly one of ${AGGREGATE_OPERATORS.join(', ')}`);
+  }
+
+  const operator = operators[0];
+  const field = spec[operator];
+
+  // { $count: true } counts rows, { $count: 'field' } counts non-null values
+  if (operator === '$count' && field === true) return rows.length;
+
+  const values = rows
+    .map(row => getFieldValue(row, field))
+    .filter(value => value !== undefined && value !== null);
+
+  switch (operator) {
+    case '$count': return values.length;
+    case '$sum': return values.reduce((sum, value) => sum + Number(value), 0);
+    case '$avg': return values.length > 0 ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null;
+    case '$min': return values.length > 0 ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    case '$max': return values.length > 0 ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+  }
+}
+
+// Indexes
+// A hash index maps each value (JSON-encoded, so 1 and "1" stay apart) to the positions
+// of the rows holding it. A sorted index lists row positions ordered by value (ties in
+// row order). A blind index does the same for an encrypted field, keyed by the keyed hash
+// stored next to each ciphertext (`bidx`). Only the index definitions are stored in the
+// .table file: the data is built in memory the first time a query needs it, and cached per
+// file under the file's inode, size and times. Any write, ours or a hand edit, changes
+// those, so a cached index always matches the rows it is used with.
+const indexCache = new Map(); // table path -> { stamp, data: { field -> index data } }
+const tableStamps = new WeakMap(); // table read from disk -> { tablePath, stamp }
+const builtIndexes = new WeakMap(); // table -> { field -> index data }
+
+function indexKey(value) {
+  return JSON.stringify(value);
+}
+
+function isHashIndex(index) {
+  return index.type === 'hash' || (index.unique === true && index.type !== 'sorted' && index.type !== 'blind');
+}
+
+// Two rows sharing a unique value, as a validation error callers can map to a field.
+// It names the one being written (ids in `changed`), else the later one.
+function uniqueViolation(table, field, rows, described, changed) {
+  const row = rows.find(candidate => changed && changed.has(candidate.id)) || rows[rows.length - 1];
+  const message = `Unique index violation: ${described} already exists in "${table.name}"`;
+  return new DapbaseValidationError([{ field, rule: 'unique', message }], { table: table.name, rowId: row.id, message });
+}
+
+function buildSortedIndex(table, field, index, changed) {
+  const data = table.rows
+    .map((row, position) => position)
+    .sort((a, b) => compareValues(table.rows[a][field], table.rows[b][field]) || a - b);
+
+  if (index.unique) {
+    for (let i = 1; i < data.length; i++) {
+      const value = table.rows[data[i]][field];
+      if (value !== undefined && value !== null && compareValues(table.rows[data[i - 1]][field], value) === 0) {
+        const rows = [table.rows[data[i - 1]], table.rows[data[i]]];
+        throw uniqueViolation(table, field, rows, `"${field}" value ${indexKey(value)}`, changed);
+      }
+    }
+  }
+
+  return data;
+}
+
+// First position in a sorted index whose value is not below `value` (or above it, if `after`)
+function sortedBound(data, rows, field, value, after) {
+  let low = 0;
+  let high = data.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    const comparison = compareValues(rows[data[mid]][field], value);
+    if (comparison < 0 || (after && comparison === 0)) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Row positions whose value falls in the $gt/$gte/$lt/$lte/$between/$eq range of `condition`
+function sortedRange(data, rows, field, condition) {
+  let start = 0;
+  let end = data.length;
+
+  const bounds = condition && typeof condition === 'object' && !Array.isArray(condition)
+    ? condition
+    : { $eq: condition };
+
+  if (Array.isArray(bounds.$between)) {
+    start = Math.max(start, sortedBound(data, rows, field, bounds.$between[0], false));
+    end = Math.min(end, sortedBound(data, rows, field, bounds.$between[1], true));
+  }
+  if ('$eq' in bounds) {
+    start = Math.max(start, sortedBound(data, rows, field, bounds.$eq, false));
+    end = Math.min(end, sortedBound(data, rows, field, bounds.$eq, true));
+  }
+  if ('$gt' in bounds) start = Math.max(start, sortedBound(data, rows, field, bounds.$gt, true));
+  if ('$gte' in bounds) start = Math.max(start, sortedBound(data, rows, field, bounds.$gte, false));
+  if ('$lt' in bounds) end = Math.min(end, sortedBound(data, rows, field, bounds.$lt, false));
+  if ('$lte' in bounds) end = Math.min(end, sortedBound(data, rows, field, bounds.$lte, true));
+
+  return data.slice(start, Math.max(start, end));
+}
+
+// Row positions in index order; for descending order ties keep their row order
+function* walkSortedIndex(data, rows, field, direction) {
+  if (direction !== 'desc') {
+    yield* data;
+    return;
+  }
+
+  let end = data.length;
+  while (end > 0) {
+    let start = end - 1;
+    while (start > 0 && compareValues(rows[data[start - 1]][field], rows[data[end - 1]][field]) === 0) start--;
+    for (let i = start; i < end; i++) yield data[i];
+    end = start;
+  }
+}
+
+function isRangeCondition(condition) {
+  if (condition === undefined || condition === null || Array.isArray(condition)) return false;
+  if (typeof condition !== 'object') return true;
+  return ['$eq', '$gt', '$gte', '$lt', '$lte', '$between'].some(operator => operator in condition);
+}
+
+// The row positions of a sorted index on `field`, or null if it has none
+function usableSortedIndex(table, field) {
+  const index = table.indexes && table.indexes[field];
+  const encryptedFields = (table.options.encryption && table.options.encryption.fields) || [];
+  if (!index || index.type !== 'sorted' || encryptedFields.includes(field)) return null;
+  return indexData(table, field);
+}
+
+function buildHashIndex(table, field, index, changed) {
+  const data = {};
+  table.rows.forEach((row, position) => {
+    const value = row[field];
+    if (value === undefined || value === null) return;
+
+    const key = indexKey(value);
+    if (!data[key]) {
+      data[key] = [];
+    } else if (index.unique) {
+      throw uniqueViolation(table, field, [table.rows[data[key][0]], row], `"${field}" value ${key}`, changed);
+    }
+    data[key].push(position);
+  });
+  return data;
+}
+
+// Stored ciphertexts never repeat, so `unique` on an encrypted column can only be
+// enforced by a unique blind index
+function assertEncryptedUniqueIndexed(table) {
+  for (const field of (table.options.encryption && table.options.encryption.fields) || []) {
+    const column = table.columns[field];
+    const index = table.indexes && table.indexes[field];
+    if (column && column.unique && !(index && index.type === 'blind' && index.unique)) {
+      throw new Error(`Encrypted column "${field}" is unique; that needs a unique blind index (encryption.blindIndex: ['${field}'])`);
+    }
+  }
+}
+
+// Plaintext never reaches a blind index, so a violation can't name the value
+function buildBlindIndex(table, field, index, changed) {
+  const data = {};
+  table.rows.forEach((row, position) => {
+    const value = row[field];
+    if (!isEncryptedValue(value) || !value.bidx) return;
+
+    if (!data[value.bidx]) {
+      data[value.bidx] = [];
+    } else if (index.unique) {
+      throw uniqueViolation(table, field, [table.rows[data[value.bidx][0]], row], `encrypted "${field}" value`, changed);
+    }
+    data[value.bidx].push(position);
+  });
+  return data;
+}
+
+function buildIndex(table, field, index, changed) {
+  if (index.type === 'blind') return buildBlindIndex(table, field, index, changed);
+  if (index.type === 'sorted') return buildSortedIndex(table, field, index, changed);
+  if (isHashIndex(index)) return buildHashIndex(table, field, index, changed);
+  return null;
+}
+
+// The data of the index on `field`, built on first use. Tables read from disk share it
+// through indexCache; staged tables (which have no file yet) build their own.
+function indexData(table, field) {
+  let built = builtIndexes.get(table);
+  if (!built) {
+    const source = tableStamps.get(table);
+    const cached = source && indexCache.get(source.tablePath);
+    built = cached && cached.stamp === source.stamp ? cached.data : {};
+    if (source) indexCache.set(source.tablePath, { stamp: source.stamp, data: built });
+    builtIndexes.set(table, built);
+  }
+  if (!(field in built)) built[field] = buildIndex(table, field, table.indexes[field]);
+  return built[field];
+}
+
+// Before a table is written: its changed rows no longer match any index built for it,
+// unique indexes are checked against them (`changed` holds the ids of the rows being
+// written), and index data that older versions stored in the file is dropped
+function checkIndexes(table, changed) {
+  builtIndexes.delete(table);
+  tableStamps.delete(table);
+  for (const [field, index] of Object.entries(table.indexes || {})) {
+    delete index.data;
+    delete index.rowCount;
+    delete index.checksum;
+    if (index.unique) buildIndex(table, field, index, changed);
+  }
+}
+
+// Values an index lookup has to fetch for a where condition, or null if it can't help
+function indexLookupValues(condition) {
+  let values;
+  if (Array.isArray(condition)) {
+    values = condition;
+  } else if (condition && typeof condition === 'object') {
+    if ('$eq' in condition) values = [condition.$eq];
+    else if (Array.isArray(condition.$in)) values = condition.$in;
+    else return null;
+  } else {
+    values = [condition];
+  }
+
+  // Null values aren't indexed
+  return values.some(value => value === undefined || value === null) ? null : values;
+}
+
+// Positions of the rows that may match `where`, narrowed down with hash, sorted and blind indexes.
+// Returns null when no index applies and every row has to be checked.
+// `keyFor(field)` supplies the field key that blind index lookups hash with.
+function indexedPositions(table, where, keyFor = null) {
+  if (!where || typeof where !== 'object') return null;
+
+  const encryptedFields = (table.options.encryption && table.options.encryption.fields) || [];
+  let positions = null;
+
+  for (const [field, condition] of Object.entries(where)) {
+    const blindIndex = table.indexes && table.indexes[field];
+    if (blindIndex && blindIndex.type === 'blind') {
+      if (!keyFor) continue;
+
+      const values = indexLookupValues(condition);
+      if (!values) continue;
+
+      const data = indexData(table, field);
+      const key = keyFor(field);
+      const found = new Set();
+      for (const value of values) {
+        const hash = blindHash(value, key);
+        for (const position of data[hash] || []) {
+          const row = table.rows[position];
+          if (!row || !isEncryptedValue(row[field]) || row[field].bidx !== hash) return null;
+          found.add(position);
+        }
+      }
+
+      positions = positions ? new Set([...positions].filter(position => found.has(position))) : found;
+      continue;
+    }
+
+    const sortedIndex = usableSortedIndex(table, field);
+    if (sortedIndex) {
+      if (!isRangeCondition(condition)) continue;
+      const found = new Set(sortedRange(sortedIndex, table.rows, field, condition));
+      positions = positions ? new Set([...positions].filter(position => found.has(position))) : found;
+      continue;
+    }
+
+    const index = table.indexes && table.indexes[field];
+    if (!index || !isHashIndex(index) || encryptedFields.includes(field)) continue;
+
+    const values = indexLookupValues(condition);
+    if (!values) continue;
+
+    const data = indexData(table, field);
+    const found = new Set();
+    for (const value of values) {
+      const key = indexKey(value);
+      for (const position of data[key] || []) {
+        const row = table.rows[position];
+        if (!row || indexKey(row[field]) !== key) return null;
+        found.add(position);
+      }
+    }
+
+    positions = positions ? new Set([...positions].filter(position => found.has(position))) : found;
+  }
+
+  return positions ? [...positions].sort((a, b) => a - b) : null;
+}
+
+// Field encryption
+// Values are sealed with AES-256-GCM and a random IV into a versioned envelope:
+// { encrypted: true, v: 2, alg: 'aes-256-gcm', kid, iv, tag, data } (base64 parts).
+// `kid` identifies the key version that sealed the value without revealing the key.
+// Envelopes without `v` come from the old createCipher('aes-256-cbc') format and are
+// still readable; they are rewritten in the new format the next time the row is updated.
+const ENCRYPTION_VERSION = 2;
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const derivedKeys = new Map();
+
+// 64 hex characters (as generated by `dapbase init`) are used as raw key bytes;
+// any other passphrase is stretched with scrypt
+function deriveKey(key) {
+  if (Buffer.isBuffer(key)) {
+    if (key.length !== 32) throw new DapbaseEncryptionError('Encryption keys given as a Buffer must be 32 bytes');
+    return key;
+  }
+
+  if (!derivedKeys.has(key)) {
+    derivedKeys.set(key, /^[0-9a-f]{64}$/i.test(key)
+      ? Buffer.from(key, 'hex')
+      : crypto.scryptSync(key, 'dapbase-field-encryption', 32));
+  }
+  return derivedKeys.get(key);
+}
+
+// Key management
+// Tables refer to keys by name ('default' unless the table or a field says otherwise).
+// A name resolves, in order, through settings.keyProvider, settings.keys, the
+// DAPBASE_ENCRYPTION_KEY (or DAPBASE_ENCRYPTION_KEY_<NAME>) environment variable and
+// the key file `dapbase init` writes (.encryption.key, or .encryption.<name>.key).
+// A key rotated by this process comes before all of them, until db.configure() is given
+// new keys or a new provider. Keys are never written into .table files.
+// `dapbase encrypt --rotate` keeps the key file it replaces as "<key file>.prev": processes
+// still running with that key may seal values with it, so it stays on the key ring.
+const keyFileCache = new Map();
+const previousKeysLoaded = new Set(); // names whose ".prev" key file was looked for
+const rotatedKeys = new Map(); // name -> key rotateKey moved it to
+const keyRing = new Map(); // kid -> key, for every key seen, so values sealed by an older key version still open
+
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(settings.root, 'dapbase.config.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function keyFilePath(name) {
+  if (name === 'default') {
+    const config = readConfig();
+    return path.resolve(settings.root, config.encryptionKeyFile || '.encryption.key');
+  }
+  return path.join(settings.root, `.encryption.${name}.key`);
+}
+
+function keyEnvName(name) {
+  return name === 'default'
+    ? 'DAPBASE_ENCRYPTION_KEY'
+    : `DAPBASE_ENCRYPTION_KEY_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+function readKeyFile(filePath) {
+  if (!keyFileCache.has(filePath)) {
+    keyFileCache.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8').trim() || null : null);
+  }
+  return keyFileCache.get(filePath);
+}
+
+function resolveKey(name, context = {}) {
+  if (!previousKeysLoaded.has(name)) {
+    previousKeysLoaded.add(name);
+    rememberKey(readKeyFile(`${keyFilePath(name)}.prev`));
+  }
+
+  if (rotatedKeys.has(name)) return rememberKey(rotatedKeys.get(name));
+
+  if (typeof settings.keyProvider === 'function') {
+    const provided = settings.keyProvider(name, context);
+    if (provided) return rememberKey(provided);
+  }
+
+  if (settings.keys[name]) return rememberKey(settings.keys[name]);
+  if (process.env[keyEnvName(name)]) return rememberKey(process.env[keyEnvName(name)]);
+  return rememberKey(readKeyFile(keyFilePath(name)));
+}
+
+// Like resolveKey, but a missing key is an error
+function requireKey(name, context = {}) {
+  const key = resolveKey(name, context);
+  if (!key) {
+    const target = context.field ? `"${context.table}.${context.field}"` : `table "${context.table}"`;
+    throw new DapbaseEncryptionError(
+      `No encryption key "${name}" for ${target}. ` +
+      `Use db.configure({ keys }), ${keyEnvName(name)} or ${path.basename(keyFilePath(name))}`
+    );
+  }
+  return key;
+}
+
+// Table encryption options as stored in the .table file: field names plus key names.
+// `fields` may map each field to its own key name: { ssn: 'hr', email: 'default' }.
+function normalizeEncryption(encryption) {
+  if (!encryption || !encryption.fields) return {};
+
+  const { fields, keyName = 'default' } = encryption;
+  const fieldKeys = Array.isArray(fields) ? {} : { ...fields };
+  const names = [keyName, ...Object.values(fieldKeys)];
+
+  for (const name of names) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid encryption key name "${name}"`);
+    }
+  }
+
+  return {
+    fields: Array.isArray(fields) ? [...fields] : Object.keys(fields),
+    keyName,
+    fieldKeys
+  };
+}
+
+function keyId(key) {
+  return crypto.createHmac('sha256', deriveKey(key)).update('dapbase-key-id').digest('hex').slice(0, 16);
+}
+
+function rememberKey(key) {
+  if (key && !keyRing.has(keyId(key))) keyRing.set(keyId(key), key);
+  return key;
+}
+
+// Keyed hash of a plaintext value for blind indexes. It uses its own subkey, so it
+// reveals nothing about the encryption key, but equal values under one key hash alike.
+const blindKeys = new Map();
+
+function blindHash(value, key) {
+  if (!blindKeys.has(key)) {
+    blindKeys.set(key, crypto.createHmac('sha256', deriveKey(key)).update('dapbase-blind-index').digest());
+  }
+  return crypto.createHmac('sha256', blindKeys.get(key)).update(JSON.stringify(value)).digest('hex').slice(0, 32);
+}
+
+function isEncryptedValue(value) {
+  return Boolean(value) && typeof value === 'object' && value.encrypted === true;
+}
+
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, deriveKey(key), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    encrypted: true,
+    v: ENCRYPTION_VERSION,
+    alg: ENCRYPTION_ALGORITHM,
+    kid: keyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Key and IV the way the removed crypto.createCipher() derived them (EVP_BytesToKey, MD5)
+function legacyKeyAndIv(password) {
+  const secret = Buffer.from(password, 'utf8');
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, secret])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+}
+
+function decryptValue(envelope, key) {
+  // Prefer the key version that sealed the value, when it is known
+  if (envelope.kid && keyRing.has(envelope.kid)) key = keyRing.get(envelope.kid);
+
+  let plaintext;
+  if (envelope.v === undefined) {
+    const { key: legacyKey, iv } = legacyKeyAndIv(String(key));
+    const decipher = crypto.createDecipheriv('aes-256-cbc', legacyKey, iv);
+    plaintext = decipher.update(envelope.data, 'hex', 'utf8') + decipher.final('utf8');
+  } else if (envelope.v === ENCRYPTION_VERSION && envelope.alg === ENCRYPTION_ALGORITHM) {
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, deriveKey(key), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } else {
+    throw new DapbaseEncryptionError(`Unsupported encryption format (v${envelope.v}, ${envelope.alg})`);
+  }
+  return JSON.parse(plaintext);
+}
+
+// Encryption at rest
+// With "encryptionAtRest": true in dapbase.config.json every .table file is written as
+// { dapbase: 'encrypted-table', v: 1, keyName, table: <envelope> } using the key named by
+// "encryptionAtRestKey" ('default' if unset). Plain files stay readable and get encrypted
+// the next time they are written.
+const ENCRYPTED_TABLE_MARKER = 'encrypted-table';
+
+function atRestKeyName() {
+  const config = readConfig();
+  return config.encryptionAtRest === true ? (config.encryptionAtRestKey || 'default') : null;
+}
+
+function encodeTable(table, fileKey) {
+  const keyName = atRestKeyName();
+  if (!keyName) return JSON.stringify(table, null, 2);
+
+  const key = fileKey || requireKey(keyName, { table: table.name });
+  return JSON.stringify({
+    dapbase: ENCRYPTED_TABLE_MARKER,
+    v: 1,
+    keyName,
+    table: encryptValue(table, key)
+  }, null, 2);
+}
+
+function decodeTable(contents, tableName) {
+  const parsed = JSON.parse(contents);
+  if (!parsed || parsed.dapbase !== ENCRYPTED_TABLE_MARKER) return parsed;
+
+  const key = requireKey(parsed.keyName || 'default', { table: tableName });
+  try {
+    return decryptValue(parsed.table, key);
+  } catch (error) {
+    throw new DapbaseEncryptionError(`Cannot decrypt table "${tableName}" (wrong key or corrupted file): ${error.message}`);
+  }
+}
+
+// Read a .table file from disk, decrypting it if it is encrypted at rest
+// The stat and the read go through one descriptor, so the stamp is that of the contents read
+function readTableFile(tablePath) {
+  const fd = fs.openSync(tablePath, 'r');
+  try {
+    const stat = fs.fstatSync(fd);
+    const table = decodeTable(fs.readFileSync(fd, 'utf-8'), path.basename(tablePath, '.table'));
+    if (table && typeof table === 'object') {
+      tableStamps.set(table, { tablePath, stamp: `${stat.ino}:${stat.size}:${stat.mtimeMs}:${stat.ctimeMs}` });
+    }
+    return table;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Change feed
+// db.watch() keeps a decrypted snapshot of a table's rows (by id). Writes made through the
+// API are reported as they commit; any other change to the file (hand edits, other
+// processes) is found by polling the file and diffing it with the snapshot.
+const watchers = new Map(); // table path -> { tableName, tablePath, listeners, rows, poll }
+
+function snapshotRows(tablePath) {
+  const rows = new Map();
+  if (!fs.existsSync(tablePath)) return rows;
+
+  const table = readTableFile(tablePath);
+  for (const row of table.rows) {
+    rows.set(String(row.id), db._decryptRow(table, row));
+  }
+  return rows;
+}
+
+// Row-level changes between two snapshots
+function diffRows(before, after) {
+  const changes = [];
+  for (const [id, row] of after) {
+    if (!before.has(id)) {
+      changes.push({ type: 'insert', before: null, after: row });
+    } else if (JSON.stringify(before.get(id)) !== JSON.stringify(row)) {
+      changes.push({ type: 'update', before: before.get(id), after: row });
+    }
+  }
+  for (const [id, row] of before) {
+    if (!after.has(id)) changes.push({ type: 'delete', before: row, after: null });
+  }
+  return changes;
+}
+
+function emitChange(watcher, change) {
+  for (const listener of [...watcher.listeners]) {
+    try {
+      listener({ table: watcher.tableName, ...change });
+    } catch (error) {
+      console.error(`Watch listener for "${watcher.tableName}" failed:`, error);
+    }
+  }
+}
+
+function checkFileChanges(watcher) {
+  let rows;
+  try {
+    rows = snapshotRows(watcher.tablePath);
+  } catch (error) {
+    // Half-finished hand edits and the like: report, keep the last good snapshot
+    emitChange(watcher, { type: 'error', error, source: 'file' });
+    return;
+  }
+
+  const changes = diffRows(watcher.rows, rows);
+  watcher.rows = rows;
+  for (const change of changes) emitChange(watcher, { ...change, source: 'file' });
+}
+
+// Move the snapshot on to a file the API just committed. Row writes report themselves;
+// other API changes (migrate, addColumn, alterColumn, renameColumn, dropTable, ...) are
+// found by diffing when `report` is set.
+function refreshWatcher(tablePath, report = false) {
+  const watcher = watchers.get(tablePath);
+  if (!watcher) return;
+
+  let rows;
+  try {
+    rows = snapshotRows(tablePath);
+  } catch {
+    // The next poll reports it
+    return;
+  }
+
+  const changes = report ? diffRows(watcher.rows, rows) : [];
+  watcher.rows = rows;
+  for (const change of changes) emitChange(watcher, { ...change, source: 'api' });
+}
+
+// Versioned migrations
+// Each database keeps its migrations in "<db>/migrations/<timestamp>_<name>.js", every file
+// exporting async up(db) and down(db). Applied migrations are recorded in the database's
+// ledger (.dapbase-migrations.json), which is committed together with the migration's changes.
+const MIGRATIONS_DIR = 'migrations';
+const MIGRATION_LEDGER = '.dapbase-migrations.json';
+
+function migrationTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// Migration names (file names without .js), oldest first
+function listMigrations(dbPath) {
+  const dir = path.join(dbPath, MIGRATIONS_DIR);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => /^\d{14}_[\w-]+\.js$/.test(f))
+    .map(f => f.slice(0, -'.js'.length))
+    .sort();
+}
+
+function readLedger(dbPath) {
+  const ledgerPath = path.join(dbPath, MIGRATION_LEDGER);
+  return fs.existsSync(ledgerPath) ? JSON.parse(fs.readFileSync(ledgerPath, 'utf-8')) : { applied: [] };
+}
+
+function loadMigration(dbPath, name) {
+  const filePath = path.join(dbPath, MIGRATIONS_DIR, `${name}.js`);
+  if (!fs.existsSync(filePath)) throw new Error(`Migration file "${name}.js" not found`);
+
+  // Always load the file as it is on disk now
+  delete require.cache[require.resolve(filePath)];
+  const migration = require(filePath);
+  if (!migration || typeof migration.up !== 'function') {
+    throw new Error(`Migration "${name}" must export an up(db) function`);
+  }
+  return migration;
+}
+
+class SchemaValidator {
+  // Type and value constraints of one value; nested array items and object properties are
+  // checked recursively and named by path ("address.city", "tags[2]").
+  // Returns { field, rule, message } entries.
+  // `context.row` is the whole row, passed on to custom validators.
+  static validateValue(value, definition, column, context = {}) {
+    if (value === undefined || value === null) return [];
+    if (typeof definition === 'string') definition = { type: definition };
+
+    const errors = [];
+
+    // Type validation
+    if (definition.type) {
+      const typeValidator = validators.types[definition.type];
+      if (typeValidator && !typeValidator(value, definition)) {
+        errors.push(definition.type === 'enum'
+          ? { field: column, rule: 'enum', message: `Column "${column}": Value ${JSON.stringify(value)} is not one of ${JSON.stringify(definition.values || [])}` }
+          : { field: column, rule: 'type', message: `Column "${column}": Expected type "${definition.type}", got "${typeof value}"` });
+        return errors;
+      }
+    }
+
+    // Min/Max for numbers
+    if (definition.min !== undefined && value < definition.min) {
+      errors.push({ field: column, rule: 'min', message: `Column "${column}": Value ${value} is less than minimum ${definition.min}` });
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      errors.push({ field: column, rule: 'max', message: `Column "${column}": Value ${value} exceeds maximum ${definition.max}` });
+    }
+
+    // Min/Max length for strings (and item counts for arrays)
+    const length = Array.isArray(value) ? value.length : String(value).length;
+    if (definition.minLength !== undefined && length < definition.minLength) {
+      errors.push({ field: column, rule: 'minLength', message: `Column "${column}": Length ${length} is less than minimum ${definition.minLength}` });
+    }
+    if (definition.maxLength !== undefined && length > definition.maxLength) {
+      errors.push({ field: column, rule: 'maxLength', message: `Column "${column}": Length ${length} exceeds maximum ${definition.maxLength}` });
+    }
+
+    // Pattern validation
+    if (definition.pattern && !new RegExp(definition.pattern).test(String(value))) {
+      errors.push({ field: column, rule: 'pattern', message: `Column "${column}": Value "${value}" doesn't match pattern "${definition.pattern}"` });
+    }
+
+    // Array items
+    if (Array.isArray(value) && definition.items) {
+      value.forEach((item, i) => {
+        if (item === undefined || item === null) {
+          const itemDefinition = typeof definition.items === 'string' ? {} : definition.items;
+          if (itemDefinition.required) {
+            errors.push({ field: `${column}[${i}]`, rule: 'required', message: `Column "${column}[${i}]" is required` });
+          }
+        }
+        errors.push(...SchemaValidator.validateValue(item, definition.items, `${column}[${i}]`, context));
+      });
+    }
+
+    // Object properties
+    if (definition.type === 'object' && definition.properties) {
+      for (const [property, propertyDefinition] of Object.entries(definition.properties)) {
+        const nested = value[property];
+        if (propertyDefinition.required && (nested === undefined || nested === null)) {
+          errors.push({ field: `${column}.${property}`, rule: 'required', message: `Column "${column}.${property}" is required` });
+        }
+        errors.push(...SchemaValidator.validateValue(nested, propertyDefinition, `${column}.${property}`, context));
+      }
+      if (definition.additionalProperties === false) {
+        for (const property of Object.keys(value)) {
+          if (!definition.properties[property]) {
+            errors.push({
+              field: `${column}.${property}`,
+              rule: 'additionalProperties',
+              message: `Column "${column}": Property "${property}" is not defined in schema`
+            });
+          }
+        }
+      }
+    }
+
+    // Registered validators: true (or nothing) passes, a string is the error message.
+    // `context.ignoreUnknownValidators` skips names that aren't registered in this process.
+    const names = definition.validate === undefined ? [] : [].concat(definition.validate);
+    for (const name of names) {
+      const validator = customValidators.get(name);
+      if (!validator) {
+        if (!context.ignoreUnknownValidators) {
+          errors.push({ field: column, rule: 'validator', validator: name, message: `Column "${column}": Validator "${name}" is not registered` });
+        }
+        continue;
+      }
+      const result = validator(value, { row: context.row, column, definition });
+      if (result && typeof result.then === 'function') {
+        throw new Error(`Validator "${name}" returned a promise; validators are synchronous (use a before* hook for async checks)`);
+      }
+      if (typeof result === 'string') {
+        errors.push({ field: column, rule: 'validator', validator: name, message: `Column "${column}": ${result}` });
+      } else if (result === false) {
+        errors.push({ field: column, rule: 'validator', validator: name, message: `Column "${column}": Value failed validator "${name}"` });
+      }
+    }
+
+    return errors;
+  }
+
+  // Table-level check constraints; a check fails only when its expression is false
+  static validateChecks(row, checks = {}) {
+    const errors = [];
+    for (const [name, expression] of Object.entries(checks || {})) {
+      if (truthOf(evaluateCheck(parseCheck(expression), row)) === false) {
+        errors.push({ field: null, rule: 'check', check: name, message: `Check "${name}" failed: ${expression}` });
+      }
+    }
+    return errors;
+  }
+
+  // Throws a DapbaseValidationError listing every problem; `options.checks` are the
+  // table's check constraints and `options.table` names the table in the error.
+  static validateRow(row, schema, existingRows = [], options = {}) {
+    const errors = [];
+    const validatedRow = { ...row };
+
+    // Check each column in schema
+    for (const [column, definition] of Object.entries(schema)) {
+      const value = row[column];
+      const isNew = !existingRows.some(r => r.id === row.id);
+      const existingValues = existingRows.map(r => r[column]);
+
+      // Type and value constraints, nested schemas included
+      errors.push(...SchemaValidator.validateValue(value, definition, column, { row }));
+
+      // Required constraint
+      if (definition.required && (value === undefined || value === null)) {
+        errors.push({ field: column, rule: 'required', message: `Column "${column}" is required` });
+      }
+
+      // Unique constraint
+      if (definition.unique && value !== undefined && value !== null) {
+        if (existingValues.includes(value) && isNew) {
+          errors.push({ field: column, rule: 'unique', message: `Column "${column}" must be unique. Value "${value}" already exists` });
+        }
+      }
+
+      // BigInts are stored as decimal strings
+      if (definition.type === 'bigint' && value !== undefined && value !== null) {
+        validatedRow[column] = String(value);
+      }
+
+      // Apply default value if needed
+      if (value === undefined && definition.default !== undefined) {
+        validatedRow[column] = typeof definition.default === 'function' 
+          ? definition.default() 
+          : definition.default;
+      }
+    }
+
+    // Check for extra fields not in schema
+    for (const field of Object.keys(row)) {
+      if (!schema[field] && field !== 'id') {
+        errors.push({ field, rule: 'unknownField', message: `Field "${field}" is not defined in schema` });
+      }
+    }
+
+    // Cross-field rules see the row with its defaults
+    errors.push(...SchemaValidator.validateChecks(validatedRow, options.checks));
+
+    if (errors.length > 0) {
+      throw new DapbaseValidationError(errors, { table: options.table, rowId: row.id });
+    }
+
+    return validatedRow;
+  }
+}
+
+const db = {
+  // Use or create a database folder
+  async use(databaseName, options = {}) {
+    if (!databaseName || typeof databaseName !== 'string') {
+      throw new Error('Database name must be a non-empty string');
+    }
+
+    currentDb = databaseName.trim();
+    currentDbPath = path.join(settings.root, currentDb);
+
+    if (!fs.existsSync(currentDbPath)) {
+      fs.mkdirSync(currentDbPath, { recursive: true });
+      console.log(`Created new database folder: ${currentDb}`);
+    } else {
+      const recovered = recoverDatabase(currentDbPath);
+      if (recovered.length > 0) {
+        console.log(`Recovered ${recovered.length} interrupted write(s) in: ${currentDb}`);
+      }
+      if (options.silent !== true) {
+        console.log(`Using database: ${currentDb}`);
+      }
+    }
+
+    return db;
+  },
+
+  // Override runtime settings such as lock timeouts
+  configure(options = {}) {
+    for (const [key, value] of Object.entries(options)) {
+      if (!(key in settings)) throw new Error(`Unknown setting "${key}"`);
+      settings[key] = key === 'root' ? path.resolve(value) : value;
+    }
+    keyFileCache.clear();
+    previousKeysLoaded.clear();
+    if ('keys' in options || 'keyProvider' in options) rotatedKeys.clear();
+    return db;
+  },
+
+  // Introspection
+  // Database folders under the Dapbase root
+  async listDatabases() {
+    if (!fs.existsSync(settings.root)) return [];
+
+    return fs.readdirSync(settings.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  },
+
+  // Tables in the current database
+  async listTables() {
+    return this._listTables().sort();
+  },
+
+  // Schema, indexes, options and size of a table, plus the tables that reference it.
+  // Index data and encryption keys are left out.
+  async describeTable(tableName) {
+    const table = await this._readTable(tableName);
+    const encryption = table.options.encryption || {};
+
+    const indexes = {};
+    for (const [field, index] of Object.entries(table.indexes || {})) {
+      indexes[field] = { type: index.type || 'value', unique: Boolean(index.unique), createdAt: index.createdAt };
+    }
+
+    const referencedBy = [];
+    for (const otherName of this._listTables().filter(name => name !== tableName).sort()) {
+      const other = await this._readTable(otherName);
+      for (const [field, rel] of Object.entries(other.relationships || {})) {
+        if (rel.foreignTable === tableName) {
+          referencedBy.push({ table: otherName, field, foreignKey: rel.foreignKey });
+        }
+      }
+    }
+
+    return {
+      name: tableName,
+      createdAt: table.createdAt,
+      columns: JSON.parse(JSON.stringify(table.columns)),
+      relationships: JSON.parse(JSON.stringify(table.relationships || {})),
+      relations: JSON.parse(JSON.stringify(table.relations || {})),
+      checks: { ...table.checks },
+      indexes,
+      options: {
+        timestamps: Boolean(table.options.timestamps),
+        encryption: encryption.fields
+          ? { fields: [...encryption.fields], keyName: encryption.keyName || 'default', fieldKeys: { ...encryption.fieldKeys } }
+          : {}
+      },
+      rowCount: table.rows.length,
+      referencedBy
+    };
+  },
+
+  // Run a callback against staged tables; everything is written only if it resolves.
+  // Every table the transaction touches stays locked until it commits or rolls back.
+  async transaction(callback) {
+    if (!currentDbPath) throw new Error('No database selected');
+    if (typeof callback !== 'function') throw new Error('Transaction callback must be a function');
+
+    // Nested transactions join the enclosing one
+    if (this._tx) return callback(this);
+
+    const tx = Object.create(this);
+    tx._tx = { dbPath: currentDbPath, tables: new Map(), locks: new Map(), afterCommit: [], reported: new Set() };
+
+    let result;
+    try {
+      result = await callback(tx);
+      commitFiles(tx._tx.dbPath, tx._tx.tables);
+    } finally {
+      tx._tx.done = true;
+      for (const release of tx._tx.locks.values()) release();
+    }
+
+    // after* hooks only see committed writes, and run once the locks are released
+    for (const tablePath of tx._tx.tables.keys()) refreshWatcher(tablePath, !tx._tx.reported.has(tablePath));
+    for (const run of tx._tx.afterCommit) await run();
+    return result;
+  },
+
+  // Listen to row changes of a table: listener({ type, table, before, after, source }).
+  // `type` is insert, update or delete (or error); `source` is 'api' for writes made through
+  // this connection and 'file' for changes found in the .table file. Returns an unwatch function.
+  watch(tableName, listener, options = {}) {
+    if (!currentDbPath) throw new Error('No database selected');
+    if (typeof listener !== 'function') throw new Error('watch needs a listener function');
+
+    const tablePath = this._tablePath(tableName);
+    let watcher = watchers.get(tablePath);
+
+    if (!watcher) {
+      watcher = { tableName, tablePath, listeners: new Set(), rows: snapshotRows(tablePath) };
+      watcher.poll = () => checkFileChanges(watcher);
+      fs.watchFile(tablePath, { interval: options.interval || 500, persistent: options.persistent !== false }, watcher.poll);
+      watchers.set(tablePath, watcher);
+    }
+    watcher.listeners.add(listener);
+
+    return () => {
+      watcher.listeners.delete(listener);
+      if (watcher.listeners.size === 0 && watchers.get(tablePath) === watcher) {
+        fs.unwatchFile(tablePath, watcher.poll);
+        watchers.delete(tablePath);
+      }
+    };
+  },
+
+  // Register a lifecycle hook; returns a function that removes it.
+  // before* hooks may return a changed row or throw to reject the operation.
+  hook(tableName, event, fn) {
+    if (!tableName || typeof tableName !== 'string') throw new Error('Hook needs a table name (or "*")');
+    if (!HOOK_EVENTS.includes(event)) throw new Error(`Unknown hook event "${event}" (use ${HOOK_EVENTS.join(', ')})`);
+    if (typeof fn !== 'function') throw new Error('Hook must be a function');
+
+    const key = `${tableName}:${event}`;
+    if (!hooks.has(key)) hooks.set(key, []);
+    hooks.get(key).push(fn);
+
+    return () => {
+      const registered = hooks.get(key) || [];
+      if (registered.includes(fn)) registered.splice(registered.indexOf(fn), 1);
+    };
+  },
+
+  // Register a column validator under a name that column definitions can reference:
+  // { type: 'text', validate: 'strongPassword' }. It gets (value, { row, column, definition })
+  // and returns true to pass or a message (or false) to fail. Registering a name again replaces it.
+  registerValidator(name, fn) {
+    if (!name || typeof name !== 'string') throw new Error('Validator needs a name');
+    if (typeof fn !== 'function') throw new Error('Validator must be a function');
+
+    customValidators.set(name, fn);
+    return db;
+  },
+
+  hasValidator(name) {
+    return customValidators.has(name);
+  },
+
+  // Create table with enhanced schema definition
+  async createTable(tableName, columns, relationships = {}, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.createTable(tableName, columns, relationships, options));
+    }
+
+    if (!currentDbPath) throw new Error('Call db.use("name") first');
+    if (!tableName || typeof tableName !== 'string') throw new Error('Table name required');
+    if (!columns || typeof columns !== 'object') throw new Error('Columns definition required');
+
+    await this._lockTable(tableName);
+    if (this._tableExists(tableName)) {
+      throw new Error(`Table "${tableName}" already exists`);
+    }
+
+    // Enhanced schema format: { column: { type: 'text', unique: true, required: true } }
+    const normalizedColumns = {};
+    for (const [colName, colDef] of Object.entries(columns)) {
+      if (typeof colDef === 'string') {
+        // Simple format: 'text' -> { type: 'text' }
+        normalizedColumns[colName] = { type: colDef };
+      } else if (typeof colDef === 'object') {
+        normalizedColumns[colName] = colDef;
+      } else {
+        throw new Error(`Invalid column definition for "${colName}"`);
+      }
+      assertColumnDefinition(colName, normalizedColumns[colName]);
+    }
+
+    // Auto-add id field if not present
+    if (!normalizedColumns.id) {
+      normalizedColumns.id = { type: 'uuid', required: true };
+    }
+
+    // Keys are looked up by name at runtime; a key passed here only lives in memory.
+    // It needs its own name: keys are shared by every table that uses the name.
+    const encryption = normalizeEncryption(options.encryption);
+    if (options.encryption && options.encryption.key) {
+      if (!options.encryption.keyName) {
+        throw new Error(`An inline encryption key needs its own keyName, e.g. { key, keyName: "${tableName}" }`);
+      }
+      const existing = resolveKey(encryption.keyName, { table: tableName });
+      if (existing && existing !== options.encryption.key) {
+        throw new Error(`Encryption key "${encryption.keyName}" is already set to a different key`);
+      }
+      settings.keys[encryption.keyName] = options.encryption.key;
+      console.warn(
+        `Encryption key "${encryption.keyName}" is only kept in memory; provide it through db.configure({ keys }), ` +
+        `${keyEnvName(encryption.keyName)} or a key file on the next start`
+      );
+    }
+
+    // Blind indexes make encrypted fields usable in equality lookups and unique checks
+    const indexes = {};
+    for (const field of (options.encryption && options.encryption.blindIndex) || []) {
+      if (!(encryption.fields || []).includes(field)) {
+        throw new Error(`Blind index on "${field}" needs it to be an encrypted field`);
+      }
+      indexes[field] = {
+        type: 'blind',
+        unique: Boolean(normalizedColumns[field] && normalizedColumns[field].unique),
+        createdAt: new Date().toISOString()
+      };
+    }
+
+    const relations = {};
+    for (const [name, relation] of Object.entries(options.relations || {})) {
+      relations[name] = normalizeRelation(name, relation, normalizedColumns);
+    }
+
+    const tableData = {
+      name: tableName,
+      createdAt: new Date().toISOString(),
+      columns: normalizedColumns,
+      relationships: normalizeRelationships(relationships, normalizedColumns),
+      relations,
+      checks: normalizeChecks(options.checks),
+      rows: [],
+      indexes,
+      options: {
+        encryption,
+        timestamps: options.timestamps !== false
+      }
+    };
+    assertEncryptedUniqueIndexed(tableData);
+
+    await this._writeTable(tableName, tableData);
+    console.log(`Table "${tableName}" created with schema validation support`);
+    return db;
+  },
+
+  // Insert with schema validation and foreign key checking
+  async insert(tableName, rowData, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.insert(tableName, rowData, options));
+    }
+
+    await this._lockReferencedTables(tableName);
+    const table = await this._readTable(tableName);
+
+    // Auto-generate UUID for id field before the required check sees it
+    if (table.columns.id && table.columns.id.type === 'uuid' && !rowData.id) {
+      rowData = { ...rowData, id: uuidv4() };
+    }
+
+    rowData = await this._runHooks(tableName, 'beforeInsert', { ...rowData });
+
+    // Apply schema validation
+    const validatedRow = SchemaValidator.validateRow(rowData, table.columns, table.rows, { checks: table.checks, table: tableName });
+
+    // Add timestamps if enabled
+    if (table.options.timestamps) {
+      const now = new Date().toISOString();
+      if (!validatedRow.createdAt) validatedRow.createdAt = now;
+      if (!validatedRow.updatedAt) validatedRow.updatedAt = now;
+    }
+
+    // Validate foreign keys
+    await this._checkForeignKeys(table, [validatedRow]);
+
+    // Encrypt fields if configured
+    const storedRow = this._encryptRow(table, validatedRow);
+
+    table.rows.push(storedRow);
+    await this._writeTable(tableName, table, { changed: [storedRow.id] });
+    this._queueHooks(tableName, 'afterInsert', validatedRow);
+    
+    if (options.silent !== true) {
+      console.log(`Inserted into "${tableName}":`, storedRow);
+    }
+    
+    return storedRow;
+  },
+
+  // Bulk insert - all rows are written together or not at all
+  async insertMany(tableName, rowsData, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.insertMany(tableName, rowsData, options));
+    }
+
+    const results = [];
+    for (const rowData of rowsData) {
+      const result = await this.insert(tableName, rowData, { ...options, silent: true });
+      results.push(result);
+    }
+    
+    if (options.silent !== true) {
+      console.log(`Inserted ${results.length} rows into "${tableName}"`);
+    }
+    
+    return results;
+  },
+
+  // Select with advanced querying
+  async select(tableName, options = {}) {
+    let rows = await this._selectRows(tableName, options);
+
+    // Eager-load named relations
+    if (options.include) {
+      rows = await this._includeRelations(tableName, rows, options.include);
+    }
+
+    // Field selection (included relations are always kept)
+    if (options.fields && Array.isArray(options.fields)) {
+      rows = projectFields(rows, [...options.fields, ...Object.keys(options.include ? parseInclude(options.include) : {})]);
+    }
+
+    if (options.silent !== true) {
+      console.log(`\n${rows.length} row(s) from "${tableName}":`);
+      if (rows.length > 0) {
+        console.table(rows);
+      }
+    }
+    
+    return rows;
+  },
+
+  // Keyset pagination: returns { rows, nextCursor }; pass nextCursor back as `after`
+  async paginate(tableName, options = {}) {
+    const limit = options.limit || 20;
+
+    // Fetch one extra row to know whether another page follows
+    const rows = await this._selectRows(tableName, { ...options, limit: limit + 1, offset: 0 }, { keyset: true });
+    let page = rows.slice(0, limit);
+
+    const order = keysetOrder(options.orderBy, options.collation);
+    const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1], order) : null;
+
+    if (options.include) {
+      page = await this._includeRelations(tableName, page, options.include);
+    }
+
+    if (options.fields && Array.isArray(options.fields)) {
+      page = projectFields(page, [...options.fields, ...Object.keys(options.include ? parseInclude(options.include) : {})]);
+    }
+
+    if (options.silent !== true) {
+      console.log(`\n${page.length} row(s) from "${tableName}"${nextCursor ? ' (more available)' : ''}:`);
+      if (page.length > 0) {
+        console.table(page);
+      }
+    }
+
+    return { rows: page, nextCursor };
+  },
+
+  // First matching row, or null
+  async findOne(tableName, where = {}, options = {}) {
+    const [row] = await this.select(tableName, { ...options, where, limit: 1, offset: 0, silent: true });
+    return row || null;
+  },
+
+  async findById(tableName, id, options = {}) {
+    return this.findOne(tableName, { id }, options);
+  },
+
+  async exists(tableName, where = {}) {
+    return (await this.findOne(tableName, where)) !== null;
+  },
+
+  // Update the first row matching `where`, or insert one built from `where` and `data`.
+  // Runs as one transaction, so no other writer can insert the same row in between.
+  async upsert(tableName, where, data, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.upsert(tableName, where, data, options));
+    }
+
+    if (!where || typeof where !== 'object') throw new Error('Upsert requires a where clause');
+
+    const existing = await this.findOne(tableName, where);
+
+    if (existing) {
+      const result = await this.update(tableName, data, { id: existing.id }, { ...options, silent: true, strict: true });
+      if (options.silent !== true) {
+        console.log(`Upsert updated row ${existing.id} in "${tableName}"`);
+      }
+      return { created: false, row: result.rows[0] };
+    }
+
+    const row = await this.insert(tableName, { ...whereEqualities(where), ...data }, options);
+    return { created: true, row };
+  },
+
+  // Count matching rows without building a result set
+  async count(tableName, where = {}) {
+    const table = await this._readTable(tableName);
+    if (!where || Object.keys(where).length === 0) return table.rows.length;
+
+    const positions = this._indexedPositions(table, where) || table.rows.map((row, position) => position);
+
+    // Rows are only decrypted when the clause reads an encrypted column
+    const columns = whereColumns(where);
+    const decrypt = ((table.options.encryption && table.options.encryption.fields) || []).some(field => columns.has(field));
+
+    return positions.filter(position => {
+      const row = table.rows[position];
+      return matchesWhere(decrypt ? this._decryptRow(table, row) : row, where);
+    }).length;
+  },
+
+  // Group rows and compute metrics: { groupBy, metrics: { total: { $sum: 'amount' } }, having }
+  async aggregate(tableName, options = {}) {
+    const { where, join, groupBy = [], metrics = {}, having, orderBy, collation, limit, offset } = options;
+    const groupFields = Array.isArray(groupBy) ? groupBy : [groupBy];
+
+    // Reuse select for where, joins and decryption
+    const rows = await this.select(tableName, { where, join, silent: true });
+
+    const groups = new Map();
+    for (const row of rows) {
+      const values = groupFields.map(field => getFieldValue(row, field));
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) groups.set(key, { values, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+
+    // Without groupBy everything is one group, even when no rows matched
+    if (groupFields.length === 0 && groups.size === 0) {
+      groups.set('[]', { values: [], rows: [] });
+    }
+
+    let results = [...groups.values()].map(group => {
+      const result = {};
+      groupFields.forEach((field, i) => {
+        result[field] = group.values[i];
+      });
+      for (const [name, spec] of Object.entries(metrics)) {
+        result[name] = computeMetric(group.rows, name, spec);
+      }
+      return result;
+    });
+
+    if (having) {
+      results = results.filter(result => matchesWhere(result, having));
+    }
+
+    if (orderBy) {
+      sortRows(results, orderBy, collation);
+    }
+
+    if (limit || offset) {
+      results = results.slice(offset || 0, (offset || 0) + (limit || results.length));
+    }
+
+    if (options.silent !== true) {
+      console.log(`\n${results.length} group(s) from "${tableName}":`);
+      if (results.length > 0) {
+        console.table(results);
+      }
+    }
+
+    return results;
+  },
+
+  // Update with validation. Rows that fail it are skipped with a warning, unless
+  // `options.strict` is set: then the first failure is thrown and nothing is written.
+  // Errors other than a DapbaseValidationError are always thrown.
+  async update(tableName, updates, where, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.update(tableName, updates, where, options));
+    }
+
+    if (!where || typeof where !== 'object') throw new Error('Update requires a where clause');
+    if (!updates || typeof updates !== 'object') throw new Error('Update requires an updates object');
+
+    await this._lockReferencedTables(tableName);
+    const table = await this._readTable(tableName);
+    let updatedCount = 0;
+    const updatedRows = [];
+    const changes = [];
+
+    const positions = this._indexedPositions(table, where) || table.rows.map((row, position) => position);
+
+    for (const position of positions) {
+      const row = table.rows[position];
+      const current = this._decryptRow(table, row);
+      
+      if (matchesWhere(current, where)) {
+        // Hooks may change the updated row, or reject the whole update
+        const proposed = await this._runHooks(tableName, 'beforeUpdate', applyUpdate(current, updates, table.columns), { before: current, updates });
+
+        // Re-validate the entire row
+        try {
+          // Create updated row with validation
+          const [fields, timestamps] = splitTimestamps(proposed, table);
+          const validatedRow = {
+            ...SchemaValidator.validateRow(fields, table.columns, table.rows.filter(r => r.id !== row.id), {
+              checks: table.checks,
+              table: tableName
+            }),
+            ...timestamps
+          };
+          
+          // Update timestamps
+          if (table.options.timestamps) {
+            validatedRow.updatedAt = new Date().toISOString();
+          }
+          changes.push({ before: current, after: validatedRow });
+          
+          // Re-encrypt fields if needed
+          const storedRow = this._encryptRow(table, validatedRow);
+          
+          updatedCount++;
+          updatedRows.push(storedRow);
+          table.rows[position] = storedRow;
+        } catch (error) {
+          // Only invalid rows are skipped; anything else (a broken validator, a missing key) is a real failure
+          if (options.strict || !(error instanceof DapbaseValidationError)) throw error;
+
+          // If validation fails, keep original row
+          console.warn(`Update validation failed for row ${row.id}:`, error.message);
+        }
+      }
+    }
+
+    if (updatedCount > 0) {
+      await this._writeTable(tableName, table, { changed: changes.map(({ after }) => after.id) });
+
+      // Changed references must exist; changed keys are carried over to referencing rows
+      const changedReferences = changes
+        .filter(({ before, after }) => Object.keys(table.relationships || {}).some(field => indexKey(before[field]) !== indexKey(after[field])))
+        .map(({ after }) => after);
+      await this._checkForeignKeys(table, changedReferences);
+      await this._applyReferentialActions(tableName, changes, options);
+
+      for (const { before, after } of changes) this._queueHooks(tableName, 'afterUpdate', after, { before });
+    }
+    
+    if (options.silent !== true) {
+      console.log(`Updated ${updatedCount} row(s) in "${tableName}"`);
+    }
+    
+    return { count: updatedCount, rows: updatedRows };
+  },
+
+  // Delete with cascading options - the row and its cascade are written together
+  async delete(tableName, where, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.delete(tableName, where, options));
+    }
+
+    const table = await this._readTable(tableName);
+    const beforeCount = table.rows.length;
+
+    if (!where || typeof where !== 'object') throw new Error('Delete requires a where clause');
+
+    const candidates = this._indexedPositions(table, where) || table.rows.map((row, position) => position);
+    const deletePositions = new Set(candidates.filter(position =>
+      matchesWhere(this._decryptRow(table, table.rows[position]), where)
+    ));
+    const rowsToDelete = table.rows.filter((row, position) => deletePositions.has(position));
+    const deleted = rowsToDelete.map(row => this._decryptRow(table, row));
+
+    // Hooks may reject the delete
+    for (const row of deleted) await this._runHooks(tableName, 'beforeDelete', row);
+
+    table.rows = table.rows.filter((row, position) => !deletePositions.has(position));
+
+    await this._writeTable(tableName, table);
+
+    // Rows referencing the deleted ones: restrict, cascade, setNull or setDefault
+    await this._applyReferentialActions(tableName, deleted.map(row => ({ before: row, after: null })), options);
+
+    for (const row of deleted) this._queueHooks(tableName, 'afterDelete', row);
+    
+    const deletedCount = beforeCount - table.rows.length;
+    if (options.silent !== true) {
+      console.log(`Deleted ${deletedCount} row(s) from "${tableName}"`);
+    }
+    
+    return { count: deletedCount, rows: rowsToDelete };
+  },
+
+  // Add index for performance
+  async addIndex(tableName, field, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.addIndex(tableName, field, options));
+    }
+
+    const table = await this._readTable(tableName);
+    
+    if (!table.columns[field]) {
+      throw new Error(`Column "${field}" does not exist`);
+    }
+    
+    // Encrypted fields can only be indexed through the keyed hash of their plaintext
+    const encrypted = ((table.options.encryption && table.options.encryption.fields) || []).includes(field);
+    const type = options.type || (encrypted ? 'blind' : 'value');
+    if (!['value', 'hash', 'sorted', 'blind'].includes(type)) {
+      throw new Error(`Unknown index type "${type}"`);
+    }
+    if (encrypted !== (type === 'blind')) {
+      throw new Error(encrypted
+        ? `Column "${field}" is encrypted; only a "blind" index can be added on it`
+        : `A "blind" index needs "${field}" to be an encrypted field`);
+    }
+    
+    table.indexes = table.indexes || {};
+    // A blind index follows the column's unique constraint unless told otherwise
+    table.indexes[field] = {
+      type,
+      unique: options.unique !== undefined ? options.unique : Boolean(encrypted && table.columns[field].unique),
+      createdAt: new Date().toISOString()
+    };
+    assertEncryptedUniqueIndexed(table);
+
+    if (type === 'blind') {
+      const key = this._fieldKey(table, field);
+      for (const row of table.rows) {
+        if (isEncryptedValue(row[field])) {
+          row[field].bidx = blindHash(this._decryptField(row[field], key), key);
+        }
+      }
+    }
+    
+    // Index data is built when a query first needs it; unique indexes are checked on every write
+    await this._writeTable(tableName, table);
+    console.log(`Index added on "${field}" in "${tableName}"`);
+    return db;
+  },
+
+  // Schema operations
+  async addColumn(tableName, columnName, definition) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.addColumn(tableName, columnName, definition));
+    }
+
+    const table = await this._readTable(tableName);
+    
+    if (table.columns[columnName]) {
+      throw new Error(`Column "${columnName}" already exists`);
+    }
+    
+    table.columns[columnName] = typeof definition === 'string' 
+      ? { type: definition }
+      : definition;
+    assertColumnDefinition(columnName, table.columns[columnName]);
+    
+    // Add default value to existing rows
+    const defaultValue = definition.default !== undefined 
+      ? (typeof definition.default === 'function' ? definition.default() : definition.default)
+      : null;
+    
+    table.rows = table.rows.map(row => ({
+      ...row,
+      [columnName]: defaultValue
+    }));
+    
+    await this._writeTable(tableName, table);
+    console.log(`Added column "${columnName}" to "${tableName}"`);
+    return db;
+  },
+
+  async removeColumn(tableName, columnName) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.removeColumn(tableName, columnName));
+    }
+
+    const table = await this._readTable(tableName);
+    
+    if (!table.columns[columnName]) {
+      throw new Error(`Column "${columnName}" does not exist`);
+    }
+
+    const dependentChecks = Object.keys(table.checks || {}).filter(name => checkColumns(table.checks[name]).includes(columnName));
+    if (dependentChecks.length > 0) {
+      throw new Error(`Column "${columnName}" is used by check(s) ${dependentChecks.join(', ')}; drop them first`);
+    }
+    
+    delete table.columns[columnName];
+    if (table.indexes) delete table.indexes[columnName];
+    
+    // Remove column from rows
+    table.rows = table.rows.map(row => {
+      const newRow = { ...row };
+      delete newRow[columnName];
+      return newRow;
+    });
+    
+    await this._writeTable(tableName, table);
+    console.log(`Removed column "${columnName}" from "${tableName}"`);
+    return db;
+  },
+
+  // Add (or replace) the foreign-key relationship of a column, e.g. to set its onDelete action
+  async addRelationship(tableName, field, relationship) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.addRelationship(tableName, field, relationship));
+    }
+
+    const foreignTable = relationship && relationship.foreignTable;
+    if (foreignTable && foreignTable !== tableName && this._tableExists(foreignTable)) await this._lockTable(foreignTable);
+    const table = await this._readTable(tableName);
+    table.relationships = { ...table.relationships, ...normalizeRelationships({ [field]: relationship }, table.columns) };
+
+    // Existing values have to satisfy it too
+    await this._checkForeignKeys(table, table.rows.map(row => this._decryptRow(table, row)));
+
+    await this._writeTable(tableName, table);
+    console.log(`Relationship "${field}" → ${relationship.foreignTable}.${relationship.foreignKey} added to "${tableName}"`);
+    return db;
+  },
+
+  // Declare (or replace) a named relation on an existing table
+  async defineRelation(tableName, name, relation) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.defineRelation(tableName, name, relation));
+    }
+
+    const table = await this._readTable(tableName);
+    table.relations = { ...table.relations, [name]: normalizeRelation(name, relation, table.columns) };
+
+    await this._writeTable(tableName, table);
+    console.log(`Relation "${name}" (${relation.type}) defined on "${tableName}"`);
+    return db;
+  },
+
+  // Add (or replace) a check constraint; every existing row has to pass it
+  async addCheck(tableName, name, expression) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.addCheck(tableName, name, expression));
+    }
+
+    if (!name || typeof name !== 'string') throw new Error('Check name required');
+    const table = await this._readTable(tableName);
+    const checks = normalizeChecks({ [name]: expression });
+
+    const failing = table.rows
+      .filter(row => SchemaValidator.validateChecks(this._decryptRow(table, row), checks).length > 0)
+      .map(row => row.id);
+    if (failing.length > 0) {
+      throw new Error(`Check "${name}" fails for ${failing.length} row(s): ${failing.slice(0, 10).join(', ')}${failing.length > 10 ? ', …' : ''}`);
+    }
+
+    table.checks = { ...table.checks, ...checks };
+    await this._writeTable(tableName, table);
+    console.log(`Check "${name}" added to "${tableName}"`);
+    return db;
+  },
+
+  async dropCheck(tableName, name) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.dropCheck(tableName, name));
+    }
+
+    const table = await this._readTable(tableName);
+    if (!table.checks || !(name in table.checks)) throw new Error(`Check "${name}" does not exist on "${tableName}"`);
+
+    delete table.checks[name];
+    await this._writeTable(tableName, table);
+    console.log(`Check "${name}" dropped from "${tableName}"`);
+    return db;
+  },
+
+  async renameColumn(tableName, from, to) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.renameColumn(tableName, from, to));
+    }
+
+    const table = await this._readTable(tableName);
+
+    if (!table.columns[from]) throw new Error(`Column "${from}" does not exist`);
+    if (table.columns[to]) throw new Error(`Column "${to}" already exists`);
+    if (from === 'id') throw new Error('The "id" column cannot be renamed');
+    if (!to || typeof to !== 'string') throw new Error('New column name required');
+
+    table.columns = renameKey(table.columns, from, to);
+    table.rows = table.rows.map(row => (from in row ? renameKey(row, from, to) : row));
+    if (table.indexes && table.indexes[from]) table.indexes = renameKey(table.indexes, from, to);
+    if (table.relationships && table.relationships[from]) table.relationships = renameKey(table.relationships, from, to);
+    for (const [name, expression] of Object.entries(table.checks || {})) {
+      table.checks[name] = renameCheckColumn(expression, from, to);
+    }
+
+    const encryption = table.options.encryption || {};
+    if (encryption.fields && encryption.fields.includes(from)) {
+      encryption.fields = encryption.fields.map(field => (field === from ? to : field));
+      if (encryption.fieldKeys && encryption.fieldKeys[from]) encryption.fieldKeys = renameKey(encryption.fieldKeys, from, to);
+    }
+
+    // Relationships pointing at the renamed column, including the table's own
+    const relinked = await this._updateRelationships(rel => (
+      rel.foreignTable === tableName && rel.foreignKey === from ? { ...rel, foreignKey: to } : rel
+    ), tableName, table, (relation, owner) => {
+      let updated = relation;
+      for (const [columnTable, property] of relationColumns(relation, owner)) {
+        if (columnTable === tableName && relation[property] === from) updated = { ...updated, [property]: to };
+      }
+      return updated;
+    });
+
+    await this._writeTable(tableName, table);
+    console.log(`Renamed column "${from}" to "${to}" in "${tableName}"${relinked ? ` (${relinked} relationship(s) updated)` : ''}`);
+    return db;
+  },
+
+  // Change a column's type or constraints. `changes` is merged into the current definition
+  // (a string only changes the type), existing values are converted and checked, and if any
+  // row fails nothing is written: the error lists the rows. `options.dryRun` only reports.
+  async alterColumn(tableName, column, changes, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.alterColumn(tableName, column, changes, options));
+    }
+
+    const table = await this._readTable(tableName);
+
+    if (!table.columns[column]) throw new Error(`Column "${column}" does not exist`);
+    if (!changes || (typeof changes !== 'string' && typeof changes !== 'object')) {
+      throw new Error('alterColumn needs a type or a definition object');
+    }
+
+    const definition = typeof changes === 'string'
+      ? { ...table.columns[column], type: changes }
+      : { ...table.columns[column], ...changes };
+    assertColumnDefinition(column, definition);
+
+    const encrypted = ((table.options.encryption && table.options.encryption.fields) || []).includes(column);
+    const schema = { [column]: definition };
+    const failed = [];
+    const seen = new Map();
+    const values = [];
+
+    table.rows.forEach((row, position) => {
+      try {
+        let value = encrypted ? this._decryptField(row[column], this._fieldKey(table, column)) : row[column];
+        value = convertValue(value, definition.type);
+
+        // Defaults fill rows that have no value yet
+        const validated = SchemaValidator.validateRow({ id: row.id, [column]: value }, schema, [], { table: tableName });
+        value = validated[column];
+
+        if (definition.unique && value !== undefined && value !== null) {
+          const key = indexKey(value);
+          if (seen.has(key)) throw new Error(`duplicate of row ${seen.get(key)}`);
+          seen.set(key, row.id);
+        }
+        values[position] = value;
+      } catch (error) {
+        failed.push({ id: row.id, value: encrypted ? '[encrypted]' : row[column], error: error.message.replace(/^Schema validation failed:\n/, '') });
+      }
+    });
+
+    const report = { column, definition, converted: table.rows.length - failed.length, failed };
+    if (options.dryRun) return report;
+
+    if (failed.length > 0) {
+      const listed = failed.slice(0, 10).map(row => `  row ${row.id}: ${row.error}`).join('\n');
+      const error = new Error(
+        `Cannot alter "${tableName}.${column}": ${failed.length} row(s) fail the new definition\n${listed}` +
+        (failed.length > 10 ? `\n  ...and ${failed.length - 10} more` : '')
+      );
+      error.rows = failed;
+      throw error;
+    }
+
+    table.columns[column] = definition;
+    assertEncryptedUniqueIndexed(table);
+    table.rows.forEach((row, position) => {
+      const value = values[position];
+      if (value === undefined) return;
+      row[column] = encrypted ? this._sealField(table, column, value) : value;
+    });
+
+    await this._writeTable(tableName, table);
+    console.log(`Altered column "${column}" in "${tableName}" (${report.converted} row(s) converted)`);
+    return report;
+  },
+
+  async renameTable(from, to) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.renameTable(from, to));
+    }
+
+    if (!to || typeof to !== 'string') throw new Error('New table name required');
+
+    const table = await this._readTable(from);
+    await this._lockTable(to);
+    if (this._tableExists(to)) throw new Error(`Table "${to}" already exists`);
+
+    table.name = to;
+
+    // Relationships pointing at the renamed table, including its own
+    const relinked = await this._updateRelationships(rel => (
+      rel.foreignTable === from ? { ...rel, foreignTable: to } : rel
+    ), from, table, relation => {
+      if (relation.table !== from && relation.through !== from) return relation;
+      return {
+        ...relation,
+        table: relation.table === from ? to : relation.table,
+        ...(relation.through ? { through: relation.through === from ? to : relation.through } : {})
+      };
+    });
+
+    await this._writeTable(to, table);
+    this._removeTable(from);
+    console.log(`Renamed table "${from}" to "${to}"${relinked ? ` (${relinked} relationship(s) updated)` : ''}`);
+    return db;
+  },
+
+  // Drop a table. Tables with relationships pointing at it keep the table unless
+  // `options.force` is set, which also removes those relationships.
+  async dropTable(tableName, options = {}) {
+    if (!this._tx) {
+      return this.transaction(tx => tx.dropTable(tableName, options));
+    }
+
+    const table = await this._readTable(tableName);
+
+    const referencing = [];
+    for (const otherName of this._listTables().filter(name => name !== tableName)) {
+      const other = await this._readTable(otherName);
+      for (const [field, rel] of Object.entries(other.relationships || {})) {
+        if (rel.foreignTable === tableName) referencing.push(`${otherName}.${field}`);
+      }
+      for (const [name, relation] of Object.entries(other.relations || {})) {
+        if (relation.table === tableName || relation.through === tableName) referencing.push(`${otherName}.${name}`);
+      }
+    }
+
+    if (referencing.length > 0 && !options.force) {
+      throw new Error(`Table "${tableName}" is referenced by ${referencing.join(', ')}; pass { force: true } to drop it anyway`);
+    }
+
+    await this._updateRelationships(
+      rel => (rel.foreignTable === tableName ? null : rel),
+      tableName,
+      table,
+      relation => (relation.table === tableName || relation.through === tableName ? null : relation)
+    );
+    this._removeTable(tableName);
+    console.log(`Dropped table "${tableName}"${referencing.length ? ` and ${referencing.length} relationship(s) to it` : ''}`);
+    return db;
+  },
+
+  // Backup current database
+  async backup(backupPath = null) {
+    if (!currentDbPath) throw new Error('No database selected');
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = backupPath || path.join(settings.root, '..', 'backups', `backup-${currentDb}-${timestamp}.zip`);
+    
+    // Loaded lazily so the core module only needs archiver when backing up
+    const archiver = require('archiver');
+    const output = fs.createWriteStream(backupFile);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    
+    return new Promise((resolve, reject) => {
+      output.on('close', () => {
+        console.log(`Database "${currentDb}" backed up to: ${backupFile}`);
+        resolve(backupFile);
+      });
+      
+      archive.on('error', reject);
+      archive.pipe(output);
+      archive.directory(currentDbPath, currentDb);
+      archive.finalize();
+    });
+  },
+
+  // Rewrite every table of the current database so the files match the
+  // "encryptionAtRest" setting (encrypting plain files, or decrypting them once it is off)
+  async applyEncryptionAtRest() {
+    const tables = this._listTables();
+    for (const tableName of tables) {
+      await this.transaction(async (tx) => {
+        await tx._writeTable(tableName, await tx._readTable(tableName));
+      });
+    }
+
+    console.log(`${atRestKeyName() ? 'Encrypted' : 'Decrypted'} ${tables.length} table file(s) in "${path.basename(this._dbPath())}"`);
+    return db;
+  },
+
+  // Re-encrypt every value sealed with `oldKey` under `newKey`, one table at a time.
+  // Progress is kept in .dapbase-rotation.json, so an interrupted rotation can simply be run again.
+  async rotateKey(oldKey, newKey, options = {}) {
+    if (this._tx) throw new Error('rotateKey cannot run inside a transaction');
+    if (!oldKey || !newKey) throw new Error('rotateKey needs the old and the new key');
+
+    const keyName = options.keyName || 'default';
+    const statePath = path.join(this._dbPath(), ROTATION_FILE);
+    const fromId = keyId(rememberKey(oldKey));
+    const toId = keyId(rememberKey(newKey));
+
+    // Whole tables encrypted at rest with this key are re-sealed too
+    const sealFiles = atRestKeyName() === keyName;
+
+    let state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf-8')) : null;
+    if (state && (state.keyName !== keyName || state.to !== toId)) {
+      throw new Error(`Another rotation of key "${state.keyName}" is in progress; finish it with the same new key first`);
+    }
+    if (!state) {
+      state = { keyName, from: fromId, to: toId, startedAt: new Date().toISOString(), tables: [] };
+      writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+    }
+
+    let rotatedValues = 0;
+    for (const tableName of this._listTables()) {
+      if (state.tables.includes(tableName)) continue;
+
+      rotatedValues += await this.transaction(async (tx) => {
+        const table = await tx._readTable(tableName);
+        const encryption = table.options.encryption || {};
+        const legacy = encryption.key !== undefined;
+
+        // Fields sealed with this key: by key name, or tables that stored the old key itself
+        const fields = (encryption.fields || []).filter(field => (legacy
+          ? encryption.key === oldKey
+          : ((encryption.fieldKeys && encryption.fieldKeys[field]) || encryption.keyName || 'default') === keyName));
+        if (fields.length === 0 && !sealFiles) return 0;
+
+        let count = 0;
+        for (const row of table.rows) {
+          for (const field of fields) {
+            const value = row[field];
+            if (!isEncryptedValue(value) || value.kid === toId) continue;
+            // Values sealed with an earlier key that is still on the key ring move over too
+            if (value.kid !== undefined && value.kid !== fromId && !keyRing.has(value.kid)) {
+              throw new DapbaseEncryptionError(`"${tableName}.${field}" in row ${row.id} was sealed with an unknown key (${value.kid})`);
+            }
+
+            try {
+              const plaintext = decryptValue(value, oldKey);
+              row[field] = encryptValue(plaintext, newKey);
+              if (table.indexes && table.indexes[field] && table.indexes[field].type === 'blind') {
+                row[field].bidx = blindHash(plaintext, newKey);
+              }
+            } catch (error) {
+              throw new DapbaseEncryptionError(`Cannot re-encrypt "${tableName}.${field}" in row ${row.id}: ${error.message}`);
+            }
+            count++;
+          }
+        }
+
+        // Move tables off the key stored in the file
+        if (legacy) {
+          delete encryption.key;
+          encryption.keyName = keyName;
+          encryption.fieldKeys = encryption.fieldKeys || {};
+        }
+
+        await tx._writeTable(tableName, table, sealFiles ? { fileKey: newKey } : {});
+        return count;
+      });
+
+      state.tables.push(tableName);
+      writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+    }
+
+    fs.unlinkSync(statePath);
+
+    // From now on this process encrypts with the new key, whatever its key source still serves
+    rotatedKeys.set(keyName, newKey);
+    keyFileCache.clear();
+
+    console.log(`Rotated key "${keyName}" in ${state.tables.length} table(s), ${rotatedValues} value(s) re-encrypted`);
+    return { keyName, keyId: toId, tables: state.tables, values: rotatedValues };
+  },
+
+  // Write a new, empty migration file for the current database
+  createMigration(name, options = {}) {
+    if (!currentDbPath) throw new Error('No database selected');
+    if (!name || !/^[\w-]+$/.test(name)) {
+      throw new Error('Migration name may only contain letters, digits, "_" and "-"');
+    }
+
+    const dir = path.join(currentDbPath, MIGRATIONS_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileName = `${migrationTimestamp()}_${name}.js`;
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) throw new Error(`Migration "${fileName}" already exists`);
+
+    fs.writeFileSync(filePath, [
+      `// Migration: ${name}`,
+      '// `db` is a transaction: everything up() or down() writes is committed together, or not at all.',
+      '',
+      'module.exports = {',
+      '  async up(db) {',
+      '  },',
+      '',
+      '  async down(db) {',
+      '  }',
+      '};',
+      ''
+    ].join('\n'));
+
+    if (options.silent !== true) {
+      console.log(`Created migration: ${path.relative(settings.root, filePath)}`);
+    }
+    return filePath;
+  },
+
+  // Applied and pending migrations of the current database, oldest first
+  async migrationStatus() {
+    if (!currentDbPath) throw new Error('No database selected');
+
+    const applied = new Map(readLedger(currentDbPath).applied.map(entry => [entry.name, entry]));
+    const files = listMigrations(currentDbPath);
+
+    const status = files.map(name => ({
+      name,
+      applied: applied.has(name),
+      appliedAt: applied.has(name) ? applied.get(name).appliedAt : null
+    }));
+
+    // Applied migrations whose file is gone can't be rolled back
+    for (const [name, entry] of applied) {
+      if (!files.includes(name)) status.push({ name, applied: true, appliedAt: entry.appliedAt, missing: true });
+    }
+
+    return status.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Run pending migrations in order, each in its own transaction together with its ledger entry.
+  // `options.to` stops after the named migration.
+  async migrateUp(options = {}) {
+    if (this._tx) throw new Error('Migrations cannot run inside a transaction');
+    if (!currentDbPath) throw new Error('No database selected');
+
+    const ledgerPath = path.join(currentDbPath, MIGRATION_LEDGER);
+    const release = await acquireLock(ledgerPath);
+    const ran = [];
+
+    try {
+      const applied = new Set(readLedger(currentDbPath).applied.map(entry => entry.name));
+      const pending = listMigrations(currentDbPath).filter(name => !applied.has(name));
+      if (options.to && !pending.includes(options.to)) {
+        throw new Error(`"${options.to}" is not a pending migration`);
+      }
+
+      for (const name of pending) {
+        const migration = loadMigration(currentDbPath, name);
+
+        await this.transaction(async (tx) => {
+          await migration.up(tx);
+
+          const ledger = readLedger(currentDbPath);
+          ledger.applied.push({ name, appliedAt: new Date().toISOString() });
+          tx._tx.tables.set(ledgerPath, JSON.stringify(ledger, null, 2));
+        });
+
+        ran.push(name);
+        if (options.silent !== true) console.log(`Migrated up: ${name}`);
+        if (name === options.to) break;
+      }
+    } finally {
+      release();
+    }
+
+    if (options.silent !== true && ran.length === 0) {
+      console.log(`No pending migrations in "${currentDb}"`);
+    }
+    return ran;
+  },
+
+  // Roll back the last `options.steps` (default 1) applied migrations, newest first
+  async migrateDown(options = {}) {
+    if (this._tx) throw new Error('Migrations cannot run inside a transaction');
+    if (!currentDbPath) throw new Error('No database selected');
+
+    const steps = options.steps === undefined ? 1 : options.steps;
+    if (!Number.isInteger(steps) || steps < 1) throw new Error('steps must be a positive integer');
+
+    const ledgerPath = path.join(currentDbPath, MIGRATION_LEDGER);
+    const release = await acquireLock(ledgerPath);
+    const ran = [];
+
+    try {
+      const toUndo = readLedger(currentDbPath).applied.map(entry => entry.name).reverse().slice(0, steps);
+
+      for (const name of toUndo) {
+        const migration = loadMigration(currentDbPath, name);
+        if (typeof migration.down !== 'function') {
+          throw new Error(`Migration "${name}" has no down(db) function and cannot be rolled back`);
+        }
+
+        await this.transaction(async (tx) => {
+          await migration.down(tx);
+
+          const ledger = readLedger(currentDbPath);
+          ledger.applied = ledger.applied.filter(entry => entry.name !== name);
+          tx._tx.tables.set(ledgerPath, JSON.stringify(ledger, null, 2));
+        });
+
+        ran.push(name);
+        if (options.silent !== true) console.log(`Migrated down: ${name}`);
+      }
+    } finally {
+      release();
+    }
+
+    if (options.silent !== true && ran.length === 0) {
+      console.log(`No applied migrations in "${currentDb}"`);
+    }
+    return ran;
+  },
+
+  // Utility methods
+  _dbPath() {
+    const dbPath = this._tx ? this._tx.dbPath : currentDbPath;
+    if (!dbPath) throw new Error('No database selected');
+    return dbPath;
+  },
+
+  _tablePath(tableName) {
+    return path.join(this._dbPath(), `${tableName}.table`);
+  },
+
+  _tableExists(tableName) {
+    const tablePath = this._tablePath(tableName);
+    if (this._tx && this._tx.tables.has(tablePath)) return this._tx.tables.get(tablePath) !== null;
+    return fs.existsSync(tablePath);
+  },
+
+  // Table names in the current database, including ones created in this transaction
+  _listTables() {
+    const names = new Set(
+      fs.readdirSync(this._dbPath())
+        .filter(f => f.endsWith('.table'))
+        .map(f => f.slice(0, -'.table'.length))
+    );
+
+    if (this._tx) {
+      for (const [tablePath, contents] of this._tx.tables) {
+        if (!tablePath.endsWith('.table')) continue;
+        if (contents === null) names.delete(path.basename(tablePath, '.table'));
+        else names.add(path.basename(tablePath, '.table'));
+      }
+    }
+
+    return [...names];
+  },
+
+  // Lock a table for the rest of the current transaction
+  async _lockTable(tableName) {
+    if (!this._tx) return;
+
+    const tablePath = this._tablePath(tableName);
+    if (this._tx.locks.has(tablePath)) return;
+
+    const release = await acquireLock(tablePath);
+    if (this._tx.done) {
+      release();
+      throw new Error('Transaction has already finished');
+    }
+    this._tx.locks.set(tablePath, release);
+  },
+
+  // Lock the tables `tableName` references before the table itself (see lockOrder), so
+  // checking its foreign keys can't deadlock with a delete cascading down from them
+  async _lockReferencedTables(tableName) {
+    const peeked = this._peekTable(tableName);
+    if (!peeked) return;
+
+    const referenced = new Map();
+    for (const { foreignTable } of Object.values(peeked.relationships || {})) {
+      const foreign = foreignTable !== tableName && this._peekTable(foreignTable);
+      if (foreign) referenced.set(foreignTable, foreign.relationships);
+    }
+    for (const name of lockOrder(referenced)) await this._lockTable(name);
+  },
+
+  // Read a table, preferring the copy staged by the current transaction.
+  // Inside a transaction the table is locked first so the read-modify-write is safe.
+  async _readTable(tableName) {
+    const tablePath = this._tablePath(tableName);
+
+    if (this._tx) {
+      await this._lockTable(tableName);
+      if (this._tx.tables.has(tablePath)) {
+        if (this._tx.tables.get(tablePath) === null) throw new Error(`Table "${tableName}" not found`);
+        return decodeTable(this._tx.tables.get(tablePath), tableName);
+      }
+    }
+
+    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
+    return readTableFile(tablePath);
+  },
+
+  // Read a table without locking it: the staged copy, or the file as last committed.
+  // Null when the table doesn't exist. Only for deciding which tables need a locked read.
+  _peekTable(tableName) {
+    const tablePath = this._tablePath(tableName);
+
+    if (this._tx && this._tx.tables.has(tablePath)) {
+      const contents = this._tx.tables.get(tablePath);
+      return contents === null ? null : decodeTable(contents, tableName);
+    }
+    try {
+      return readTableFile(tablePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  // Write a table, or stage it when running inside a transaction.
+  // `options.fileKey` overrides the at-rest key (used while rotating it); `options.changed`
+  // lists the ids of the rows being written, for unique index errors to name.
+  async _writeTable(tableName, table, options = {}) {
+    const tablePath = this._tablePath(tableName);
+    checkIndexes(table, options.changed && new Set(options.changed));
+    const contents = encodeTable(table, options.fileKey);
+
+    if (this._tx) {
+      if (this._tx.done) throw new Error('Transaction has already finished');
+      await this._lockTable(tableName);
+      this._tx.tables.set(tablePath, contents);
+      return;
+    }
+
+    writeFileAtomic(tablePath, contents);
+  },
+
+  // Stage the removal of a table file; only used inside a transaction
+  _removeTable(tableName) {
+    if (this._tx.done) throw new Error('Transaction has already finished');
+    this._tx.tables.set(this._tablePath(tableName), null);
+  },
+
+  // Rewrite relationship entries with `map(rel)` and named relations with
+  // `mapRelation(relation, owner)` (null drops the entry) in every table.
+  // `tableName`'s own entries are changed on `table` in place; the caller writes it.
+  async _updateRelationships(map, tableName, table, mapRelation = relation => relation) {
+    const relink = (entries, mapEntry, owner) => {
+      let changed = 0;
+      const result = {};
+      for (const [name, entry] of Object.entries(entries || {})) {
+        const mapped = mapEntry(entry, owner);
+        if (mapped !== entry) changed++;
+        if (mapped) result[name] = mapped;
+      }
+      return [result, changed];
+    };
+
+    const update = (target, owner) => {
+      const [relationships, changedRelationships] = relink(target.relationships, map, owner);
+      const [relations, changedRelations] = relink(target.relations, mapRelation, owner);
+      target.relationships = relationships;
+      if (target.relations || changedRelations > 0) target.relations = relations;
+      return changedRelationships + changedRelations;
+    };
+
+    let total = update(table, tableName);
+
+    for (const otherName of this._listTables().filter(name => name !== tableName)) {
+      const other = await this._readTable(otherName);
+      const changed = update(other, otherName);
+      if (changed > 0) {
+        await this._writeTable(otherName, other);
+        total += changed;
       }
     }
+    return total;
+  },
 
-    // Auto-add id field if not present
-    if (!normalizedColumns.id) {
-      normalizedColumns.id = { type: 'uuid', required: true };
+  // Run the before* hooks of a table in order; each may return a replacement row
+  async _runHooks(tableName, event, row, context = {}) {
+    let current = row;
+    for (const fn of hooksFor(tableName, event)) {
+      const result = await fn(current, { ...context, table: tableName, event, db: this });
+      if (result !== undefined) {
+        if (!result || typeof result !== 'object') {
+          throw new Error(`${event} hook on "${tableName}" must return a row object or nothing`);
+        }
+        current = result;
+      }
     }
+    return current;
+  },
 
-    const tableData = {
-      name: tableName,
-      createdAt: new Date().toISOString(),
-      columns: normalizedColumns,
-      relationships,
-      rows: [],
-      indexes: {},
-      options: {
-        encryption: options.encryption || {},
-        timestamps: options.timestamps !== false
+  // Schedule the after* hooks of a table, and the change for its watchers,
+  // for when the transaction has committed. The write is done by then, so a failing
+  // hook is reported rather than rejecting it, and doesn't stop the others.
+  _queueHooks(tableName, event, row, context = {}) {
+    const registered = hooksFor(tableName, event);
+    const tablePath = this._tablePath(tableName);
+    this._tx.reported.add(tablePath);
+
+    this._tx.afterCommit.push(async () => {
+      for (const fn of registered) {
+        try {
+          await fn(row, { ...context, table: tableName, event, db });
+        } catch (error) {
+          console.error(`${event} hook on "${tableName}" failed:`, error);
+        }
       }
-    };
 
-    fs.writeFileSync(tablePath, JSON.stringify(tableData, null, 2), 'utf-8');
-    console.log(`Table "${tableName}" created with schema validation support`);
-    return db;
+      const watcher = watchers.get(tablePath);
+      if (watcher) {
+        const change = event === 'afterInsert'
+          ? { type: 'insert', before: null, after: row }
+          : event === 'afterUpdate'
+            ? { type: 'update', before: context.before, after: row }
+            : { type: 'delete', before: row, after: null };
+        emitChange(watcher, { ...change, source: 'api', ...(context.cascade ? { cascade: true } : {}) });
+      }
+    });
   },
 
-  // Insert with schema validation and foreign key checking
-  async insert(tableName, rowData, options = {}) {
-    if (!currentDbPath) throw new Error('No database selected');
-
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
+  // Every non-null reference in `rows` must exist in its foreign table
+  async _checkForeignKeys(table, rows) {
+    for (const [field, { foreignTable, foreignKey }] of Object.entries(table.relationships || {})) {
+      const values = rows.map(row => row[field]).filter(value => value !== undefined && value !== null);
+      if (values.length === 0) continue;
 
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+      if (!this._tableExists(foreignTable)) {
+        throw new Error(`Foreign table "${foreignTable}" does not exist`);
+      }
 
-    // Apply schema validation
-    const validatedRow = SchemaValidator.validateRow(rowData, table.columns, table.rows);
+      const foreignTableData = await this._readTable(foreignTable);
+      const existing = new Set(foreignTableData.rows.map(row => indexKey(this._decryptRow(foreignTableData, row)[foreignKey])));
 
-    // Auto-generate UUID for id field
-    if (table.columns.id && table.columns.id.type === 'uuid' && !validatedRow.id) {
-      validatedRow.id = uuidv4();
+      const missing = values.find(value => !existing.has(indexKey(value)));
+      if (missing !== undefined) {
+        const row = rows.find(candidate => indexKey(candidate[field]) === indexKey(missing));
+        const message = `Foreign key violation: ${field}=${missing} not found in ${foreignTable}`;
+        throw new DapbaseValidationError([{ field, rule: 'foreignKey', message }], { table: table.name, rowId: row.id, message });
+      }
     }
+  },
 
-    // Add timestamps if enabled
-    if (table.options.timestamps) {
-      const now = new Date().toISOString();
-      if (!validatedRow.createdAt) validatedRow.createdAt = now;
-      if (!validatedRow.updatedAt) validatedRow.updatedAt = now;
+  // Apply onDelete/onUpdate actions of every relationship pointing at `tableName` for
+  // `changes` ({ before, after } rows, `after` null for deletes), following cascades down.
+  // `options.cascade` makes relationships without an onDelete action cascade.
+  async _applyReferentialActions(tableName, changes, options = {}) {
+    if (changes.length === 0) return;
+
+    // Old key -> new key (undefined when the referenced row is gone)
+    const replacedKeys = (rel) => {
+      const replaced = new Map();
+      for (const { before, after } of changes) {
+        const oldKey = before[rel.foreignKey];
+        if (oldKey === undefined || oldKey === null) continue;
+        if (after && indexKey(after[rel.foreignKey]) === indexKey(oldKey)) continue;
+        replaced.set(indexKey(oldKey), after ? (after[rel.foreignKey] === undefined ? null : after[rel.foreignKey]) : undefined);
+      }
+      return replaced;
+    };
+    const referencingRows = (table, field, replaced) => table.rows
+      .map((row, position) => ({ position, row: this._decryptRow(table, row) }))
+      .filter(({ row }) => row[field] !== undefined && row[field] !== null && replaced.has(indexKey(row[field])));
+
+    // Referencing tables are found with unlocked reads, so a write doesn't lock the whole
+    // database. Only tables holding rows that point at a changed key are locked, after this
+    // one and in lockOrder. A row added since can't slip in: inserting it locks this table first.
+    const affected = [];
+    for (const otherName of this._listTables().sort()) {
+      const peeked = this._peekTable(otherName);
+      if (!peeked) continue;
+
+      const fields = Object.entries(peeked.relationships || {}).filter(([, rel]) => rel.foreignTable === tableName);
+      const touched = fields.filter(([field, rel]) => {
+        const replaced = replacedKeys(rel);
+        return replaced.size > 0 && referencingRows(peeked, field, replaced).length > 0;
+      });
+      if (touched.length > 0) affected.push({ otherName, fields: touched, relationships: peeked.relationships });
     }
-
-    // Validate foreign keys
-    for (const field in table.relationships) {
-      if (validatedRow[field] !== undefined) {
-        const { foreignTable, foreignKey } = table.relationships[field];
-        const foreignPath = path.join(currentDbPath, `${foreignTable}.table`);
-        
-        if (!fs.existsSync(foreignPath)) {
-          throw new Error(`Foreign table "${foreignTable}" does not exist`);
+    const order = lockOrder(new Map(affected.map(({ otherName, relationships }) => [otherName, relationships])));
+    affected.sort((a, b) => order.indexOf(a.otherName) - order.indexOf(b.otherName));
+    for (const { otherName } of affected) await this._lockTable(otherName);
+
+    for (const { otherName, fields } of affected) {
+      for (const [field, rel] of fields) {
+        const replaced = replacedKeys(rel);
+
+        // Re-read under the lock: a cascade for an earlier field may have changed the table
+        const other = await this._readTable(otherName);
+        const referencing = referencingRows(other, field, replaced);
+        if (referencing.length === 0) continue;
+
+        const deleting = [...replaced.values()].some(value => value === undefined);
+        const action = deleting
+          ? rel.onDelete || (options.cascade ? 'cascade' : 'restrict')
+          : rel.onUpdate || 'cascade';
+
+        if (action === 'restrict') {
+          throw new Error(
+            `Cannot ${deleting ? 'delete' : 'change the key of'} "${tableName}" row(s): ` +
+            `${referencing.length} row(s) in "${otherName}" reference them through "${field}"`
+          );
         }
-        
-        const foreignTableData = JSON.parse(fs.readFileSync(foreignPath, 'utf-8'));
-        const exists = foreignTableData.rows.some(row => row[foreignKey] === validatedRow[field]);
-        
-        if (!exists) {
-          throw new Error(`Foreign key violation: ${field}=${validatedRow[field]} not found in ${foreignTable}`);
+
+        const childChanges = [];
+        if (action === 'cascade' && deleting) {
+          for (const { row } of referencing) await this._runHooks(otherName, 'beforeDelete', row, { cascade: true });
+
+          const removed = new Set(referencing.map(({ position }) => position));
+          other.rows = other.rows.filter((row, position) => !removed.has(position));
+          childChanges.push(...referencing.map(({ row }) => ({ before: row, after: null })));
+        } else {
+          const definition = other.columns[field] || {};
+          for (const { position, row } of referencing) {
+            let value;
+            if (action === 'cascade') {
+              value = replaced.get(indexKey(row[field]));
+            } else if (action === 'setDefault' && definition.default !== undefined) {
+              value = typeof definition.default === 'function' ? definition.default() : definition.default;
+            } else {
+              value = null;
+            }
+
+            // Validated like any update, whatever the beforeUpdate hooks made of it
+            const updates = { $set: { [field]: value } };
+            const proposed = await this._runHooks(otherName, 'beforeUpdate', { ...row, [field]: value }, { before: row, updates, cascade: true });
+            const [fields, timestamps] = splitTimestamps(proposed, other);
+            const after = {
+              ...SchemaValidator.validateRow(fields, other.columns, other.rows.filter(r => r.id !== row.id), {
+                checks: other.checks,
+                table: otherName
+              }),
+              ...timestamps
+            };
+            if (other.options.timestamps) after.updatedAt = new Date().toISOString();
+            childChanges.push({ before: row, after });
+
+            other.rows[position] = this._encryptRow(other, after);
+          }
         }
-      }
-    }
 
-    // Encrypt fields if configured
-    if (table.options.encryption && table.options.encryption.fields) {
-      for (const field of table.options.encryption.fields) {
-        if (validatedRow[field] !== undefined) {
-          validatedRow[field] = this._encryptField(validatedRow[field], table.options.encryption.key);
+        await this._writeTable(otherName, other, { changed: childChanges.filter(({ after }) => after).map(({ after }) => after.id) });
+        for (const { before, after } of childChanges) {
+          this._queueHooks(otherName, after ? 'afterUpdate' : 'afterDelete', after || before, after ? { before, cascade: true } : { cascade: true });
         }
+        if (options.silent !== true) {
+          console.log(`${action} on "${otherName}.${field}": ${referencing.length} row(s)`);
+        }
+
+        // Their own keys may be referenced further down
+        await this._applyReferentialActions(otherName, childChanges, options);
       }
     }
+  },
 
-    table.rows.push(validatedRow);
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    
-    if (options.silent !== true) {
-      console.log(`Inserted into "${tableName}":`, validatedRow);
+  // Attach the relations named in `include` to `rows` of `tableName`: belongsTo as an
+  // object (or null), hasMany and manyToMany as arrays. Each relation is one query per level.
+  async _includeRelations(tableName, rows, include) {
+    const table = await this._readTable(tableName);
+    let result = rows;
+
+    for (const [name, node] of Object.entries(parseInclude(include))) {
+      const relation = (table.relations || {})[name];
+      if (!relation) throw new Error(`Unknown relation "${name}" on "${tableName}"`);
+      result = await this._loadRelation(name, relation, result, node);
     }
-    
-    return validatedRow;
+    return result;
   },
 
-  // Bulk insert
-  async insertMany(tableName, rowsData, options = {}) {
-    const results = [];
-    for (const rowData of rowsData) {
-      const result = await this.insert(tableName, rowData, { ...options, silent: true });
-      results.push(result);
+  async _loadRelation(name, relation, rows, node) {
+    // Rows of `targetTable` whose `key` is one of `values`, filtered, ordered and nested per `spec`
+    const load = async (targetTable, key, values, spec = {}) => {
+      if (values.length === 0) return [];
+      const found = await this._selectRows(targetTable, { where: whereIn(key, values, spec.where), orderBy: spec.orderBy });
+      return spec.include && spec.include.length > 0
+        ? this._includeRelations(targetTable, found, spec.include)
+        : found;
+    };
+
+    if (relation.type === 'belongsTo') {
+      const targets = await load(relation.table, relation.targetKey, distinctValues(rows, relation.foreignKey), node);
+      const byKey = new Map();
+      for (const target of targets) {
+        const key = indexKey(target[relation.targetKey]);
+        if (!byKey.has(key)) byKey.set(key, target);
+      }
+      return rows.map(row => ({ ...row, [name]: byKey.get(indexKey(row[relation.foreignKey])) || null }));
     }
-    
-    if (options.silent !== true) {
-      console.log(`Inserted ${results.length} rows into "${tableName}"`);
+
+    const groups = new Map();
+    const addTo = (key, target) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(target);
+    };
+
+    if (relation.type === 'hasMany') {
+      const targets = await load(relation.table, relation.foreignKey, distinctValues(rows, relation.localKey), node);
+      for (const target of targets) addTo(indexKey(target[relation.foreignKey]), target);
+    } else {
+      // manyToMany: pivot rows first, then the targets they point at (in the requested order)
+      const pivots = await load(relation.through, relation.foreignKey, distinctValues(rows, relation.localKey));
+      const targets = await load(relation.table, relation.targetKey, distinctValues(pivots, relation.otherKey), node);
+
+      const owners = new Map();
+      for (const pivot of pivots) {
+        const key = indexKey(pivot[relation.otherKey]);
+        if (!owners.has(key)) owners.set(key, []);
+        owners.get(key).push(indexKey(pivot[relation.foreignKey]));
+      }
+      for (const target of targets) {
+        for (const owner of new Set(owners.get(indexKey(target[relation.targetKey])) || [])) addTo(owner, target);
+      }
     }
-    
-    return results;
+
+    return rows.map(row => ({ ...row, [name]: groups.get(indexKey(row[relation.localKey])) || [] }));
   },
 
-  // Select with advanced querying
-  async select(tableName, options = {}) {
-    if (!currentDbPath) throw new Error('No database selected');
+  // Where, joins, ordering and pagination for select and paginate
+  async _selectRows(tableName, options = {}, flags = {}) {
+    const table = await this._readTable(tableName);
+    const keyset = flags.keyset === true || Boolean(options.after);
+    const order = keyset
+      ? keysetOrder(options.orderBy, options.collation)
+      : parseOrderBy(options.orderBy, options.collation);
+    const after = options.after ? decodeCursor(options.after, order) : null;
+
+    // Use indexes to skip rows that can't match
+    const positions = this._indexedPositions(table, options.where);
+    let rows;
+
+    // Walk a sorted index in order and stop once the requested page is filled
+    const orderIndex = order.length === 1 && !order[0].collation && !keyset && !options.join
+      ? usableSortedIndex(table, order[0].field)
+      : null;
+    if (orderIndex) {
+      const candidates = positions ? new Set(positions) : null;
+      const offset = options.offset || 0;
+      const limit = options.limit || Infinity;
+      let skipped = 0;
+      rows = [];
 
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
+      for (const position of walkSortedIndex(orderIndex, table.rows, order[0].field, order[0].direction)) {
+        if (rows.length >= limit) break;
+        if (candidates && !candidates.has(position)) continue;
 
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    let rows = [...table.rows];
+        const row = this._decryptRow(table, table.rows[position]);
+        if (options.where && !matchesWhere(row, options.where)) continue;
 
-    // Decrypt fields if needed
-    if (table.options.encryption && table.options.encryption.fields) {
-      rows = rows.map(row => {
-        const decrypted = { ...row };
-        for (const field of table.options.encryption.fields) {
-          if (decrypted[field] && typeof decrypted[field] === 'object' && decrypted[field].encrypted) {
-            decrypted[field] = this._decryptField(decrypted[field], table.options.encryption.key);
-          }
+        if (skipped < offset) {
+          skipped++;
+          continue;
         }
-        return decrypted;
-      });
-    }
+        rows.push(row);
+      }
+    } else {
+      rows = positions ? positions.map(position => table.rows[position]) : [...table.rows];
 
-    // WHERE filter with operators
-    if (options.where) {
-      rows = rows.filter(row => {
-        return Object.entries(options.where).every(([key, condition]) => {
-          if (condition === undefined || condition === null) {
-            return row[key] === condition;
-          }
-          
-          // Handle operator syntax: { age: { $gt: 18 } }
-          if (typeof condition === 'object' && !Array.isArray(condition)) {
-            return Object.entries(condition).every(([operator, value]) => {
-              switch (operator) {
-                case '$eq': return row[key] === value;
-                case '$ne': return row[key] !== value;
-                case '$gt': return row[key] > value;
-                case '$gte': return row[key] >= value;
-                case '$lt': return row[key] < value;
-                case '$lte': return row[key] <= value;
-                case '$in': return Array.isArray(value) && value.includes(row[key]);
-                case '$nin': return Array.isArray(value) && !value.includes(row[key]);
-                case '$like': return String(row[key]).includes(String(value));
-                case '$regex': return new RegExp(value).test(String(row[key]));
-                default: return row[key] === condition;
-              }
-            });
-          }
-          
-          // Handle array values
-          if (Array.isArray(condition)) {
-            return condition.includes(row[key]);
-          }
-          
-          // Simple equality
-          return row[key] === condition;
-        });
-      });
+      // Decrypt fields if needed
+      rows = rows.map(row => this._decryptRow(table, row));
+
+      // WHERE filter with operators
+      if (options.where) {
+        rows = rows.filter(row => matchesWhere(row, options.where));
+      }
     }
 
     // JOIN support
     if (options.join && Array.isArray(options.join)) {
       for (const join of options.join) {
         const { table: joinTable, on, as = joinTable, type = 'left' } = join;
-        const joinPath = path.join(currentDbPath, `${joinTable}.table`);
-        
-        if (!fs.existsSync(joinPath)) {
+        if (!this._tableExists(joinTable)) {
           if (type === 'inner') {
             rows = []; // Inner join with missing table = no results
             break;
@@ -349,8 +3588,8 @@ const db = {
           continue;
         }
 
-        const joinData = JSON.parse(fs.readFileSync(joinPath, 'utf-8'));
-        const joinRows = joinData.rows;
+        const joinData = await this._readTable(joinTable);
+        const joinRows = joinData.rows.map(jrow => this._decryptRow(joinData, jrow));
 
         rows = rows.map(row => {
           const related = joinRows.filter(jrow => jrow[on.foreign] === row[on.local]);
@@ -367,299 +3606,111 @@ const db = {
       }
     }
 
-    // Sorting
-    if (options.orderBy) {
-      const [field, direction = 'asc'] = Array.isArray(options.orderBy) 
-        ? options.orderBy 
-        : [options.orderBy, 'asc'];
-      
-      rows.sort((a, b) => {
-        const aVal = a[field];
-        const bVal = b[field];
-        
-        if (aVal === bVal) return 0;
-        if (aVal === undefined || aVal === null) return direction === 'asc' ? -1 : 1;
-        if (bVal === undefined || bVal === null) return direction === 'asc' ? 1 : -1;
-        
-        const comparison = aVal < bVal ? -1 : 1;
-        return direction === 'asc' ? comparison : -comparison;
-      });
-    }
-
-    // Pagination
-    if (options.limit || options.offset) {
-      const offset = options.offset || 0;
-      const limit = options.limit || rows.length;
-      rows = rows.slice(offset, offset + limit);
-    }
+    // Sorting and pagination (already done by an ordered index scan)
+    if (!orderIndex) {
+      if (order.length > 0) {
+        const compare = keyComparator(order);
+        const keyed = rows.map(row => ({ row, key: orderKey(row, order) }));
+        keyed.sort((a, b) => compare(a.key, b.key));
 
-    // Field selection
-    if (options.fields && Array.isArray(options.fields)) {
-      rows = rows.map(row => {
-        const selected = {};
-        options.fields.forEach(field => {
-          if (row[field] !== undefined) {
-            selected[field] = row[field];
-          }
-        });
-        return selected;
-      });
-    }
+        rows = (after ? keyed.filter(({ key }) => compare(key, after) > 0) : keyed).map(({ row }) => row);
+      }
 
-    if (options.silent !== true) {
-      console.log(`\n${rows.length} row(s) from "${tableName}":`);
-      if (rows.length > 0) {
-        console.table(rows);
+      if (options.limit || options.offset) {
+        const offset = options.offset || 0;
+        const limit = options.limit || rows.length;
+        rows = rows.slice(offset, offset + limit);
       }
     }
-    
+
     return rows;
   },
 
-  // Update with validation
-  async update(tableName, updates, where, options = {}) {
-    if (!currentDbPath) throw new Error('No database selected');
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
-
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    let updatedCount = 0;
-    const updatedRows = [];
+  _decryptRow(table, row) {
+    if (!table.options.encryption || !table.options.encryption.fields) return row;
 
-    table.rows = table.rows.map(row => {
-      const matches = Object.keys(where).every(k => row[k] === where[k]);
-      
-      if (matches) {
-        // Create updated row with validation
-        const updatedRow = { ...row, ...updates };
-        
-        // Re-validate the entire row
+    const decrypted = { ...row };
+    for (const field of table.options.encryption.fields) {
+      if (isEncryptedValue(decrypted[field])) {
         try {
-          const validatedRow = SchemaValidator.validateRow(updatedRow, table.columns, table.rows.filter(r => r.id !== row.id));
-          
-          // Update timestamps
-          if (table.options.timestamps) {
-            validatedRow.updatedAt = new Date().toISOString();
-          }
-          
-          // Re-encrypt fields if needed
-          if (table.options.encryption && table.options.encryption.fields) {
-            for (const field of table.options.encryption.fields) {
-              if (validatedRow[field] !== undefined && !(validatedRow[field] && validatedRow[field].encrypted)) {
-                validatedRow[field] = this._encryptField(validatedRow[field], table.options.encryption.key);
-              }
-            }
-          }
-          
-          updatedCount++;
-          updatedRows.push(validatedRow);
-          return validatedRow;
+          decrypted[field] = this._decryptField(decrypted[field], this._fieldKey(table, field));
         } catch (error) {
-          // If validation fails, keep original row
-          console.warn(`Update validation failed for row ${row.id}:`, error.message);
-          return row;
+          error.message = `Cannot decrypt "${table.name}.${field}" in row ${row.id}: ${error.message}`;
+          throw error;
         }
       }
-      
-      return row;
-    });
-
-    if (updatedCount > 0) {
-      fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    }
-    
-    if (options.silent !== true) {
-      console.log(`Updated ${updatedCount} row(s) in "${tableName}"`);
     }
-    
-    return { count: updatedCount, rows: updatedRows };
+    return decrypted;
   },
 
-  // Delete with cascading options
-  async delete(tableName, where, options = {}) {
-    if (!currentDbPath) throw new Error('No database selected');
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
-
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    const beforeCount = table.rows.length;
-
-    const rowsToDelete = table.rows.filter(row =>
-      Object.keys(where).every(k => row[k] === where[k])
-    );
-
-    // Check for cascade deletion
-    if (options.cascade) {
-      // Find tables that have relationships to this table
-      const allTables = fs.readdirSync(currentDbPath)
-        .filter(f => f.endsWith('.table') && f !== `${tableName}.table`);
-      
-      for (const tableFile of allTables) {
-        const otherTablePath = path.join(currentDbPath, tableFile);
-        const otherTable = JSON.parse(fs.readFileSync(otherTablePath, 'utf-8'));
-        
-        for (const [field, rel] of Object.entries(otherTable.relationships || {})) {
-          if (rel.foreignTable === tableName) {
-            // Delete rows in other table that reference deleted rows
-            const idsToDelete = rowsToDelete.map(r => r.id);
-            otherTable.rows = otherTable.rows.filter(row => 
-              !idsToDelete.includes(row[field])
-            );
-            fs.writeFileSync(otherTablePath, JSON.stringify(otherTable, null, 2));
-          }
-        }
-      }
-    }
-
-    table.rows = table.rows.filter(row =>
-      !Object.keys(where).every(k => row[k] === where[k])
-    );
+  // The key for an encrypted field, resolved by name through the key providers
+  _fieldKey(table, field) {
+    const encryption = table.options.encryption || {};
 
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    
-    const deletedCount = beforeCount - table.rows.length;
-    if (options.silent !== true) {
-      console.log(`Deleted ${deletedCount} row(s) from "${tableName}"`);
-    }
-    
-    return { count: deletedCount, rows: rowsToDelete };
-  },
+    // Tables created by older versions kept the key itself in the file
+    if (encryption.key) return encryption.key;
 
-  // Add index for performance
-  async addIndex(tableName, field, options = {}) {
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    
-    table.indexes[field] = {
-      type: options.type || 'value',
-      unique: options.unique || false,
-      createdAt: new Date().toISOString()
-    };
-    
-    // Build index
-    if (options.type === 'hash') {
-      const index = {};
-      table.rows.forEach((row, idx) => {
-        const key = row[field];
-        if (key !== undefined) {
-          if (!index[key]) index[key] = [];
-          index[key].push(idx);
-        }
-      });
-      table.indexes[field].data = index;
-    }
-    
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    console.log(`Index added on "${field}" in "${tableName}"`);
-    return db;
+    const name = (encryption.fieldKeys && encryption.fieldKeys[field]) || encryption.keyName || 'default';
+    return requireKey(name, { table: table.name, field });
   },
 
-  // Schema operations
-  async addColumn(tableName, columnName, definition) {
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    
-    if (table.columns[columnName]) {
-      throw new Error(`Column "${columnName}" already exists`);
+  // Copy of a plaintext row with its encrypted fields sealed
+  _encryptRow(table, row) {
+    const encrypted = { ...row };
+    for (const field of (table.options.encryption && table.options.encryption.fields) || []) {
+      if (encrypted[field] !== undefined && !isEncryptedValue(encrypted[field])) {
+        encrypted[field] = this._sealField(table, field, encrypted[field]);
+      }
     }
-    
-    table.columns[columnName] = typeof definition === 'string' 
-      ? { type: definition }
-      : definition;
-    
-    // Add default value to existing rows
-    const defaultValue = definition.default !== undefined 
-      ? (typeof definition.default === 'function' ? definition.default() : definition.default)
-      : null;
-    
-    table.rows = table.rows.map(row => ({
-      ...row,
-      [columnName]: defaultValue
-    }));
-    
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    console.log(`Added column "${columnName}" to "${tableName}"`);
-    return db;
+    return encrypted;
   },
 
-  async removeColumn(tableName, columnName) {
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
-    
-    if (!table.columns[columnName]) {
-      throw new Error(`Column "${columnName}" does not exist`);
+  // Encrypt a field value, adding its blind index hash when the field has one
+  _sealField(table, field, value) {
+    const key = this._fieldKey(table, field);
+    const envelope = this._encryptField(value, key);
+    const index = table.indexes && table.indexes[field];
+    if (index && index.type === 'blind' && value !== null) {
+      envelope.bidx = blindHash(value, key);
     }
-    
-    delete table.columns[columnName];
-    
-    // Remove column from rows
-    table.rows = table.rows.map(row => {
-      const newRow = { ...row };
-      delete newRow[columnName];
-      return newRow;
-    });
-    
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
-    console.log(`Removed column "${columnName}" from "${tableName}"`);
-    return db;
+    return envelope;
   },
 
-  // Backup current database
-  async backup(backupPath = null) {
-    if (!currentDbPath) throw new Error('No database selected');
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = backupPath || path.join(DAPBASE_ROOT, '..', 'backups', `backup-${currentDb}-${timestamp}.zip`);
-    
-    const output = fs.createWriteStream(backupFile);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    
-    return new Promise((resolve, reject) => {
-      output.on('close', () => {
-        console.log(`Database "${currentDb}" backed up to: ${backupFile}`);
-        resolve(backupFile);
-      });
-      
-      archive.on('error', reject);
-      archive.pipe(output);
-      archive.directory(currentDbPath, currentDb);
-      archive.finalize();
-    });
+  _indexedPositions(table, where) {
+    return indexedPositions(table, where, field => this._fieldKey(table, field));
   },
 
-  // Utility methods
   _encryptField(value, key) {
-    if (!key) return value;
+    if (!key) throw new DapbaseEncryptionError('No encryption key configured for encrypted field');
     
     try {
-      const cipher = crypto.createCipher('aes-256-cbc', key);
-      let encrypted = cipher.update(JSON.stringify(value), 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      return { encrypted: true, data: encrypted };
-    } catch {
-      return value;
+      return encryptValue(value, key);
+    } catch (error) {
+      if (error instanceof DapbaseEncryptionError) throw error;
+      throw new DapbaseEncryptionError(`Encryption failed: ${error.message}`);
     }
   },
 
   _decryptField(encryptedObj, key) {
-    if (!encryptedObj.encrypted || !key) return encryptedObj;
+    if (!isEncryptedValue(encryptedObj)) return encryptedObj;
+    if (!key) throw new DapbaseEncryptionError('No encryption key configured for encrypted field');
     
     try {
-      const decipher = crypto.createDecipher('aes-256-cbc', key);
-      let decrypted = decipher.update(encryptedObj.data, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return JSON.parse(decrypted);
-    } catch {
-      return encryptedObj;
+      return decryptValue(encryptedObj, key);
+    } catch (error) {
+      if (error instanceof DapbaseEncryptionError) throw error;
+      // GCM authentication failures land here: wrong key or tampered data
+      throw new DapbaseEncryptionError(`Decryption failed (wrong key or corrupted value): ${error.message}`);
     }
   },
 
   // Migration helper
   async migrate(tableName, migrationFn) {
-    const tablePath = path.join(currentDbPath, `${tableName}.table`);
-    if (!fs.existsSync(tablePath)) throw new Error(`Table "${tableName}" not found`);
-    
-    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+    if (!this._tx) {
+      return this.transaction(tx => tx.migrate(tableName, migrationFn));
+    }
+
+    const table = await this._readTable(tableName);
     
     // Apply migration to all rows
     table.rows = table.rows.map((row, index) => {
@@ -671,10 +3722,16 @@ const db = {
       }
     });
     
-    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
+    await this._writeTable(tableName, table);
     console.log(`Migration applied to ${table.rows.length} rows in "${tableName}"`);
     return db;
   }
 };
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
+module.exports.LockTimeoutError = LockTimeoutError;
+module.exports.DapbaseEncryptionError = DapbaseEncryptionError;
+module.exports.DapbaseValidationError = DapbaseValidationError;
+module.exports.readTableFile = readTableFile;
+module.exports.writeFileAtomic = writeFileAtomic;
+module.exports.SchemaValidator = SchemaValidator;
\ No newline at end of file
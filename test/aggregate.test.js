@@ -0,0 +1,50 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('aggregate over joins', () => {
+  useTempDatabase({ keys: { default: 'test-key' } });
+
+  test('groups on decrypted fields of the joined table', async () => {
+    await db.createTable('customers', { region: 'text' }, {}, { encryption: { fields: ['region'] } });
+    await db.createTable('orders', { customer_id: 'uuid', amount: 'float' });
+    const north = await db.insert('customers', { region: 'north' }, { silent: true });
+    const south = await db.insert('customers', { region: 'south' }, { silent: true });
+    for (const [customer, amount] of [[north, 10], [north, 5], [south, 7]]) {
+      await db.insert('orders', { customer_id: customer.id, amount }, { silent: true });
+    }
+
+    const groups = await db.aggregate('orders', {
+      join: [{ table: 'customers', on: { local: 'customer_id', foreign: 'id' }, as: 'customer' }],
+      groupBy: ['customer.region'],
+      metrics: { total: { $sum: 'amount' } },
+      orderBy: 'customer.region',
+      silent: true
+    });
+
+    expect(groups).toEqual([
+      { 'customer.region': 'north', total: 15 },
+      { 'customer.region': 'south', total: 7 }
+    ]);
+  });
+});
+
+describe('count', () => {
+  useTempDatabase({ keys: { default: 'test-key' } });
+
+  beforeEach(async () => {
+    await db.createTable('customers', { region: 'text', tier: 'text' }, {}, { encryption: { fields: ['region'] } });
+    for (const [region, tier] of [['north', 'gold'], ['north', 'basic'], ['south', 'gold']]) {
+      await db.insert('customers', { region, tier }, { silent: true });
+    }
+  });
+
+  test('only decrypts rows when the where clause reads an encrypted column', async () => {
+    const decrypt = jest.spyOn(db, '_decryptRow');
+
+    expect(await db.count('customers')).toBe(3);
+    expect(await db.count('customers', { tier: 'gold' })).toBe(2);
+    expect(decrypt).not.toHaveBeenCalled();
+
+    expect(await db.count('customers', { $or: [{ tier: 'basic' }, { region: 'south' }] })).toBe(2);
+    expect(decrypt).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,28 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('unique encrypted columns', () => {
+  useTempDatabase({ keys: { default: 'test-key' } });
+
+  test('need a blind index', async () => {
+    await expect(db.createTable('users', { email: { type: 'text', unique: true } }, {}, {
+      encryption: { fields: ['email'] }
+    })).rejects.toThrow(/unique blind index/);
+  });
+
+  test('cannot get a non-unique blind index', async () => {
+    await db.createTable('users', { email: { type: 'text', unique: true } }, {}, {
+      encryption: { fields: ['email'], blindIndex: ['email'] }
+    });
+
+    await expect(db.addIndex('users', 'email', { unique: false })).rejects.toThrow(/unique blind index/);
+  });
+
+  test('reject duplicates through the blind index', async () => {
+    await db.createTable('users', { email: { type: 'text', unique: true } }, {}, {
+      encryption: { fields: ['email'], blindIndex: ['email'] }
+    });
+    await db.insert('users', { email: 'a@example.com' }, { silent: true });
+
+    await expect(db.insert('users', { email: 'a@example.com' }, { silent: true })).rejects.toThrow(/Unique index violation/);
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+// Whether `expression` passes for `row`
+function passes(expression, row = {}) {
+  return db.SchemaValidator.validateChecks(row, { rule: expression }).length === 0;
+}
+
+describe('check expressions', () => {
+  test('&& binds tighter than ||, and comparisons tighter than both', () => {
+    expect(passes('a == 1 || a == 2 && b == 3', { a: 1, b: 0 })).toBe(true);
+    expect(passes('(a == 1 || a == 2) && b == 3', { a: 1, b: 0 })).toBe(false);
+    expect(passes('!a == 1 || true', { a: 1 })).toBe(true);
+  });
+
+  test('arithmetic follows the usual precedence', () => {
+    expect(passes('total == price + qty * 2', { total: 7, price: 1, qty: 3 })).toBe(true);
+    expect(passes('total == (price + qty) * 2', { total: 7, price: 1, qty: 3 })).toBe(false);
+    expect(passes('-a + 10 % 4 == 0', { a: 2 })).toBe(true);
+  });
+
+  test('a missing or null value makes a comparison unknown, which passes', () => {
+    expect(passes('endDate > startDate', { startDate: '2024-01-01' })).toBe(true);
+    expect(passes('discount >= 0', { discount: null })).toBe(true);
+    expect(passes('discount >= 0', { discount: -1 })).toBe(false);
+    expect(passes('!(discount >= 0)', {})).toBe(true);
+  });
+
+  test('unknown is decided by && and || only when the other side settles it', () => {
+    expect(passes('missing > 1 && false', {})).toBe(false);
+    expect(passes('missing > 1 || true', {})).toBe(true);
+    expect(passes('missing > 1 && true', {})).toBe(true);
+  });
+
+  test('== and != compare null like any value', () => {
+    expect(passes('startDate != null', {})).toBe(false);
+    expect(passes('startDate != null', { startDate: '2024-01-01' })).toBe(true);
+  });
+
+  test('in looks a value up in a list', () => {
+    expect(passes("plan in ['pro', 'team']", { plan: 'team' })).toBe(true);
+    expect(passes("plan in ['pro', 'team']", { plan: 'free' })).toBe(false);
+    expect(passes('n in [1, 2 + 1]', { n: 3 })).toBe(true);
+    expect(passes("plan in ['pro']", {})).toBe(true);
+  });
+
+  test('dotted paths read nested values', () => {
+    expect(passes("address.country == 'NL'", { address: { country: 'NL' } })).toBe(true);
+    expect(passes("address.country == 'NL'", { address: { country: 'BE' } })).toBe(false);
+  });
+});
+
+describe('check constraints', () => {
+  const context = useTempDatabase();
+
+  test('invalid expressions are rejected when the table is created', async () => {
+    for (const expression of ['a >', '(a == 1', 'a == 1)', 'a # 1', "plan in ['pro'", '']) {
+      await expect(db.createTable('bad', { a: 'int' }, {}, { checks: { rule: expression } })).rejects.toThrow(/check expression/i);
+    }
+    expect(fs.existsSync(path.join(context.dbPath, 'bad.table'))).toBe(false);
+  });
+
+  test('rows that make a check false are rejected with the check named', async () => {
+    await db.createTable('ranges', { low: 'int', high: 'int' }, {}, { checks: { ordered: 'high > low' } });
+    await db.insert('ranges', { low: 1 }, { silent: true });
+
+    const error = await db.insert('ranges', { low: 5, high: 2 }, { silent: true }).catch(e => e);
+    expect(error).toBeInstanceOf(db.DapbaseValidationError);
+    expect(error.errors).toEqual([expect.objectContaining({ rule: 'check', check: 'ordered' })]);
+  });
+
+  test('renameColumn rewrites the expressions that use the column', async () => {
+    await db.createTable('ranges', { low: 'int', high: 'int', meta: 'json' }, {}, {
+      checks: { ordered: 'high > low && lowest != low', nested: "meta.low in ['a']" }
+    });
+
+    await db.renameColumn('ranges', 'low', 'start');
+    await db.renameColumn('ranges', 'meta', 'info');
+
+    const { checks } = JSON.parse(fs.readFileSync(path.join(context.dbPath, 'ranges.table'), 'utf-8'));
+    expect(checks).toEqual({ ordered: 'high > start && lowest != start', nested: "info.low in ['a']" });
+  });
+});
@@ -0,0 +1,61 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('column types', () => {
+  useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('customers', {
+      contact: { type: 'email' },
+      website: { type: 'url' },
+      status: { type: 'enum', values: ['active', 'suspended'], default: 'active' },
+      balance: { type: 'bigint' },
+      tags: { type: 'array', items: { type: 'text', maxLength: 5 } },
+      address: {
+        type: 'object',
+        properties: { city: { type: 'text', required: true } },
+        additionalProperties: false
+      }
+    });
+  });
+
+  async function fieldsFailing(row) {
+    const error = await db.insert('customers', row, { silent: true }).catch(caught => caught);
+    expect(error).toBeInstanceOf(db.DapbaseValidationError);
+    return error.errors.map(({ field, rule }) => `${field}:${rule}`);
+  }
+
+  test('accept values of their type', async () => {
+    const row = await db.insert('customers', {
+      contact: 'jane@example.com',
+      website: 'https://example.com',
+      balance: 12345678901234567890n,
+      tags: ['a', 'b'],
+      address: { city: 'Lagos' }
+    }, { silent: true });
+
+    expect(row).toMatchObject({ status: 'active', balance: '12345678901234567890', address: { city: 'Lagos' } });
+  });
+
+  test('reject values of another type, naming the nested path', async () => {
+    expect(await fieldsFailing({ contact: 'jane', website: 'ftp://example.com', status: 'closed' }))
+      .toEqual(['contact:type', 'website:type', 'status:enum']);
+    expect(await fieldsFailing({ balance: 1.5, tags: ['ok', 'too long'], address: { town: 'x' } }))
+      .toEqual(['balance:type', 'tags[1]:maxLength', 'address.city:required', 'address.town:additionalProperties']);
+  });
+
+  test('an enum needs its values', async () => {
+    await expect(db.createTable('a', { kind: 'enum' })).rejects.toThrow(/non-empty "values"/);
+    await expect(db.addColumn('customers', 'tier', { type: 'enum', values: [] })).rejects.toThrow(/non-empty "values"/);
+    await expect(db.alterColumn('customers', 'contact', { type: 'enum' })).rejects.toThrow(/non-empty "values"/);
+  });
+
+  test('$inc and $mul on a bigint keep every digit', async () => {
+    const row = await db.insert('customers', { balance: '9007199254740993' }, { silent: true });
+
+    await db.update('customers', { $inc: { balance: 1 } }, { id: row.id }, { strict: true, silent: true });
+    expect((await db.findById('customers', row.id)).balance).toBe('9007199254740994');
+
+    await db.update('customers', { $mul: { balance: 1000n } }, { id: row.id }, { strict: true, silent: true });
+    expect((await db.findById('customers', row.id)).balance).toBe('9007199254740994000');
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+describe('leftovers from a crashed process with our pid', () => {
+  const context = useTempDatabase({ lockTimeout: 500 });
+  let tablePath;
+
+  beforeEach(async () => {
+    await db.createTable('items', { name: 'text' });
+    tablePath = path.join(context.dbPath, 'items.table');
+  });
+
+  test('a lock left by an earlier process is taken over', async () => {
+    const lockPath = `${tablePath}.lock`;
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: '2020-01-01T00:00:00.000Z' }));
+    fs.utimesSync(lockPath, new Date('2020-01-01'), new Date('2020-01-01'));
+
+    await expect(db.insert('items', { name: 'a' }, { silent: true })).resolves.toMatchObject({ name: 'a' });
+  });
+
+  test('a journal left by an earlier process is replayed on use()', async () => {
+    const { dbPath } = context;
+    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+    table.rows.push({ id: 'recovered', name: 'from journal' });
+    const temp = `items.table.${process.pid}-0123456789abcdef.tmp`;
+    fs.writeFileSync(path.join(dbPath, temp), JSON.stringify(table));
+    fs.writeFileSync(path.join(dbPath, `.dapbase-journal-${process.pid}-1.json`), JSON.stringify({
+      pid: process.pid,
+      token: '0123456789abcdef',
+      entries: [{ target: 'items.table', temp }]
+    }));
+
+    await db.use('app', { silent: true });
+
+    expect(await db.findById('items', 'recovered')).toMatchObject({ name: 'from journal' });
+    expect(fs.readdirSync(dbPath).filter(file => file.startsWith('.dapbase-journal-'))).toEqual([]);
+  });
+
+  test('temp files left by an earlier process are removed on use()', async () => {
+    const { dbPath } = context;
+    fs.writeFileSync(`${tablePath}.${process.pid}.tmp`, '{}');
+    fs.writeFileSync(`${tablePath}.${process.pid}-0123456789abcdef.tmp`, '{}');
+
+    await db.use('app', { silent: true });
+
+    expect(fs.readdirSync(dbPath).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('a lock held by this process is still respected', async () => {
+    await expect(db.transaction(async tx => {
+      await tx.insert('items', { name: 'a' }, { silent: true });
+      await db.insert('items', { name: 'b' }, { silent: true });
+    })).rejects.toThrow(db.LockTimeoutError);
+  });
+});
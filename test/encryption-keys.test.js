@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+describe('inline table keys', () => {
+  useTempDatabase({ keys: {} });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('need an explicit key name', async () => {
+    await expect(db.createTable('a', { secret: 'text' }, {}, {
+      encryption: { fields: ['secret'], key: 'secret-a' }
+    })).rejects.toThrow(/keyName/);
+  });
+
+  test('cannot re-key a name another table uses', async () => {
+    await db.createTable('a', { secret: 'text' }, {}, { encryption: { fields: ['secret'], key: 'secret-a', keyName: 'shared' } });
+
+    await expect(db.createTable('b', { secret: 'text' }, {}, {
+      encryption: { fields: ['secret'], key: 'secret-b', keyName: 'shared' }
+    })).rejects.toThrow(/already set to a different key/);
+
+    await db.createTable('c', { secret: 'text' }, {}, { encryption: { fields: ['secret'], key: 'secret-c', keyName: 'c' } });
+    await db.insert('a', { secret: 'x' }, { silent: true });
+    expect((await db.findOne('a', {})).secret).toBe('x');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/only kept in memory/));
+  });
+});
+
+describe('key rotation', () => {
+  const context = useTempDatabase({ keys: {} });
+
+  afterEach(() => {
+    db.configure({ keyProvider: null });
+  });
+
+  test('the rotated key wins over the key provider', async () => {
+    db.configure({ keyProvider: name => (name === 'default' ? 'old-key' : null) });
+    await db.createTable('notes', { body: 'text' }, {}, { encryption: { fields: ['body'] } });
+    await db.insert('notes', { body: 'before' }, { silent: true });
+
+    const { keyId } = await db.rotateKey('old-key', 'new-key');
+    await db.insert('notes', { body: 'after' }, { silent: true });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(context.dbPath, 'notes.table'), 'utf-8'));
+    expect(stored.rows.map(row => row.body.kid)).toEqual([keyId, keyId]);
+    expect((await db.select('notes', { silent: true })).map(row => row.body)).toEqual(['before', 'after']);
+  });
+
+  test('values sealed by a process still holding the replaced key stay readable through its .prev file', async () => {
+    // Another process, started before the rotation
+    function startProcess() {
+      let instance;
+      jest.isolateModules(() => {
+        instance = require('../templates/dapbase.connection.js');
+      });
+      instance.configure({ root: context.root, keys: {} });
+      return instance;
+    }
+
+    fs.writeFileSync(path.join(context.root, '.encryption.key'), 'old-key');
+    await db.createTable('notes', { body: 'text' }, {}, { encryption: { fields: ['body'] } });
+    const running = startProcess();
+    await running.use('app', { silent: true });
+    await running.insert('notes', { body: 'before' }, { silent: true });
+
+    // What `dapbase encrypt --rotate` does
+    await db.rotateKey('old-key', 'new-key');
+    fs.writeFileSync(path.join(context.root, '.encryption.key.prev'), 'old-key');
+    fs.writeFileSync(path.join(context.root, '.encryption.key'), 'new-key');
+
+    await running.insert('notes', { body: 'late' }, { silent: true });
+
+    const restarted = startProcess();
+    await restarted.use('app', { silent: true });
+    expect((await restarted.select('notes', { silent: true })).map(row => row.body)).toEqual(['before', 'late']);
+    await expect(restarted.rotateKey('new-key', 'newer-key')).resolves.toMatchObject({ values: 2 });
+  });
+});
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+// A value in the old createCipher('aes-256-cbc', key) format, which derived
+// its key and IV from the password with one MD5 round per block (EVP_BytesToKey)
+function legacyEnvelope(value, password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password)])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  const cipher = crypto.createCipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  return { encrypted: true, data: cipher.update(JSON.stringify(value), 'utf8', 'hex') + cipher.final('hex') };
+}
+
+describe('field encryption', () => {
+  const context = useTempDatabase({ keys: { default: 'test-key' } });
+  let tablePath;
+
+  beforeEach(async () => {
+    await db.createTable('secrets', { label: 'text', secret: 'text' }, {}, { encryption: { fields: ['secret'] } });
+    tablePath = path.join(context.dbPath, 'secrets.table');
+  });
+
+  function storedRows() {
+    return JSON.parse(fs.readFileSync(tablePath, 'utf-8')).rows;
+  }
+
+  test('seals each value with AES-256-GCM and its own IV', async () => {
+    await db.insertMany('secrets', [{ label: 'a', secret: 'same' }, { label: 'b', secret: 'same' }], { silent: true });
+
+    const [a, b] = storedRows().map(row => row.secret);
+    expect(a).toMatchObject({ encrypted: true, v: 2, alg: 'aes-256-gcm', kid: expect.any(String) });
+    expect(a.iv).not.toBe(b.iv);
+    expect(a.data).not.toBe(b.data);
+    expect((await db.select('secrets', { silent: true })).map(row => row.secret)).toEqual(['same', 'same']);
+  });
+
+  test('refuses to hand back a value that was tampered with', async () => {
+    await db.insert('secrets', { label: 'a', secret: 'top secret' }, { silent: true });
+    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+    const data = Buffer.from(table.rows[0].secret.data, 'base64');
+    data[0] ^= 1;
+    table.rows[0].secret.data = data.toString('base64');
+    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
+
+    await expect(db.select('secrets', { silent: true })).rejects.toThrow(db.DapbaseEncryptionError);
+  });
+
+  test('reads values in the old CBC format and seals new values with GCM', async () => {
+    const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+    const id = crypto.randomUUID();
+    table.rows.push({ id, label: 'old', secret: legacyEnvelope('old value', 'test-key') });
+    fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
+
+    expect(await db.findById('secrets', id)).toMatchObject({ secret: 'old value' });
+
+    await db.update('secrets', { secret: 'new value' }, { id }, { silent: true });
+    expect(storedRows()[0].secret).toMatchObject({ v: 2, alg: 'aes-256-gcm' });
+    expect(await db.findById('secrets', id)).toMatchObject({ label: 'old', secret: 'new value' });
+  });
+});
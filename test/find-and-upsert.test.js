@@ -0,0 +1,44 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('findOne, findById, exists and upsert', () => {
+  useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('users', { email: { type: 'email', unique: true }, name: 'text', logins: 'int' });
+    await db.insert('users', { email: 'ada@example.com', name: 'Ada', logins: 1 }, { silent: true });
+  });
+
+  test('find single rows', async () => {
+    const ada = await db.findOne('users', { email: 'ada@example.com' });
+
+    expect(ada).toMatchObject({ name: 'Ada' });
+    expect(await db.findById('users', ada.id)).toEqual(ada);
+    expect(await db.findOne('users', { name: 'nobody' })).toBeNull();
+    expect(await db.exists('users', { name: 'Ada' })).toBe(true);
+    expect(await db.exists('users', { name: { $ne: 'Ada' } })).toBe(false);
+  });
+
+  test('upsert updates a matching row or inserts one from the where clause', async () => {
+    const updated = await db.upsert('users', { email: 'ada@example.com' }, { $inc: { logins: 1 } }, { silent: true });
+    const created = await db.upsert('users', { email: 'bob@example.com' }, { name: 'Bob' }, { silent: true });
+
+    expect(updated).toMatchObject({ created: false, row: { name: 'Ada', logins: 2 } });
+    expect(created).toMatchObject({ created: true, row: { email: 'bob@example.com', name: 'Bob' } });
+    expect(await db.count('users')).toBe(2);
+  });
+
+  test('concurrent upserts of the same row insert it once', async () => {
+    const results = await Promise.all([
+      db.upsert('users', { email: 'cy@example.com' }, { name: 'Cy' }, { silent: true }),
+      db.upsert('users', { email: 'cy@example.com' }, { name: 'Cyrus' }, { silent: true })
+    ]);
+
+    expect(results.map(result => result.created).sort()).toEqual([false, true]);
+    expect(await db.count('users', { email: 'cy@example.com' })).toBe(1);
+  });
+
+  test('upsert throws on invalid data instead of skipping it', async () => {
+    await expect(db.upsert('users', { email: 'ada@example.com' }, { email: 'not an email' }, { silent: true }))
+      .rejects.toThrow(db.DapbaseValidationError);
+  });
+});
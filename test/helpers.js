@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../templates/dapbase.connection.js');
+
+// Give every test of the calling file an empty "app" database in a fresh temp directory.
+// `settings` go to db.configure(); the returned object gets `root` and `dbPath` once a
+// test starts. console.log is silenced so table creation doesn't flood the output.
+function useTempDatabase(settings = {}) {
+  const context = {};
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    context.root = fs.mkdtempSync(path.join(os.tmpdir(), 'dapbase-'));
+    context.dbPath = path.join(context.root, 'app');
+    db.configure({ ...settings, root: context.root });
+    await db.use('app', { silent: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(context.root, { recursive: true, force: true });
+  });
+
+  return context;
+}
+
+module.exports = { db, useTempDatabase };
@@ -0,0 +1,30 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('after* hooks', () => {
+  useTempDatabase();
+  const unregister = [];
+
+  beforeEach(async () => {
+    await db.createTable('items', { name: 'text' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    while (unregister.length > 0) unregister.pop()();
+  });
+
+  test('a failing hook does not reject the committed write or skip the rest', async () => {
+    const seen = [];
+    const events = [];
+    unregister.push(db.hook('items', 'afterInsert', () => { throw new Error('audit is down'); }));
+    unregister.push(db.hook('items', 'afterInsert', row => seen.push(row.name)));
+    unregister.push(db.watch('items', change => events.push(change.type)));
+
+    await expect(db.insert('items', { name: 'a' }, { silent: true })).resolves.toMatchObject({ name: 'a' });
+
+    expect(await db.count('items')).toBe(1);
+    expect(seen).toEqual(['a']);
+    expect(events).toEqual(['insert']);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/afterInsert hook on "items" failed/), expect.any(Error));
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+// Change one value in the .table file the way a person with an editor would
+function editRow(tablePath, position, changes) {
+  const table = JSON.parse(fs.readFileSync(tablePath, 'utf-8'));
+  Object.assign(table.rows[position], changes);
+  fs.writeFileSync(tablePath, JSON.stringify(table, null, 2));
+}
+
+describe('indexes after a hand edit', () => {
+  const context = useTempDatabase();
+  let tablePath;
+
+  beforeEach(async () => {
+    await db.createTable('items', { k: 'text', n: 'int' });
+    for (const [k, n] of [['a', 1], ['b', 2], ['c', 3]]) {
+      await db.insert('items', { k, n }, { silent: true });
+    }
+    tablePath = path.join(context.dbPath, 'items.table');
+  });
+
+  test('a hash index that no longer matches its column is not used', async () => {
+    await db.addIndex('items', 'k', { type: 'hash' });
+    editRow(tablePath, 2, { k: 'a' });
+
+    expect(await db.select('items', { where: { k: 'a' }, silent: true })).toHaveLength(2);
+    expect(await db.delete('items', { k: 'a' }, { silent: true })).toMatchObject({ count: 2 });
+  });
+
+  test('a sorted index that no longer matches its column is not used', async () => {
+    await db.addIndex('items', 'n', { type: 'sorted' });
+    editRow(tablePath, 2, { n: 0 });
+
+    expect(await db.select('items', { where: { n: { $lt: 1 } }, silent: true })).toHaveLength(1);
+    expect((await db.select('items', { orderBy: 'n', silent: true })).map(row => row.n)).toEqual([0, 1, 2]);
+  });
+});
+
+describe('index lookups', () => {
+  const context = useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('items', { k: 'text', n: 'int' });
+    await db.insertMany('items', Array.from({ length: 50 }, (_, i) => ({ k: `k${i % 10}`, n: 50 - i })), { silent: true });
+  });
+
+  test('only read the rows a hash index points at', async () => {
+    await db.addIndex('items', 'k', { type: 'hash' });
+    const decrypt = jest.spyOn(db, '_decryptRow');
+
+    const rows = await db.select('items', { where: { k: 'k3' }, silent: true });
+
+    expect(rows.map(row => row.n)).toEqual([47, 37, 27, 17, 7]);
+    expect(decrypt).toHaveBeenCalledTimes(5);
+  });
+
+  test('walk a sorted index for ordered pages instead of sorting every row', async () => {
+    await db.addIndex('items', 'n', { type: 'sorted' });
+    const decrypt = jest.spyOn(db, '_decryptRow');
+
+    const first = await db.select('items', { orderBy: 'n', limit: 3, silent: true });
+    const last = await db.select('items', { orderBy: ['n', 'desc'], offset: 1, limit: 2, silent: true });
+
+    expect(first.map(row => row.n)).toEqual([1, 2, 3]);
+    expect(last.map(row => row.n)).toEqual([49, 48]);
+    expect(decrypt).toHaveBeenCalledTimes(6);
+  });
+
+  test('keep index data out of the table file', async () => {
+    await db.addIndex('items', 'k', { type: 'hash' });
+    await db.select('items', { where: { k: 'k3' }, silent: true });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(context.dbPath, 'items.table'), 'utf-8'));
+    expect(stored.indexes.k).toEqual({ type: 'hash', unique: false, createdAt: expect.any(String) });
+  });
+});
@@ -0,0 +1,53 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('introspection', () => {
+  useTempDatabase({ keys: { default: 'test-key' } });
+
+  beforeEach(async () => {
+    await db.createTable('users', {
+      email: { type: 'email', required: true, unique: true },
+      ssn: 'text'
+    }, {}, { timestamps: true, encryption: { fields: ['ssn'] } });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'cascade' }
+    });
+    await db.addIndex('users', 'email', { type: 'hash', unique: true });
+    await db.insert('users', { email: 'ada@example.com', ssn: '123' }, { silent: true });
+  });
+
+  test('listDatabases and listTables', async () => {
+    await db.use('analytics', { silent: true });
+    await db.createTable('events', { name: 'text' });
+
+    expect(await db.listDatabases()).toEqual(['analytics', 'app']);
+    expect(await db.listTables()).toEqual(['events']);
+
+    await db.use('app', { silent: true });
+    expect(await db.listTables()).toEqual(['posts', 'users']);
+  });
+
+  test('describeTable reports schema, options, size and the tables referencing it', async () => {
+    const users = await db.describeTable('users');
+
+    expect(users).toMatchObject({
+      name: 'users',
+      createdAt: expect.any(String),
+      columns: { email: expect.objectContaining({ type: 'email', required: true, unique: true }) },
+      relationships: {},
+      checks: {},
+      indexes: { email: { type: 'hash', unique: true } },
+      options: { timestamps: true, encryption: { fields: ['ssn'], keyName: 'default', fieldKeys: {} } },
+      rowCount: 1,
+      referencedBy: [{ table: 'posts', field: 'user_id', foreignKey: 'id' }]
+    });
+    expect((await db.describeTable('posts')).relationships.user_id).toMatchObject({ foreignTable: 'users', onDelete: 'cascade' });
+  });
+
+  test('describeTable leaves out index data and keys', async () => {
+    const users = await db.describeTable('users');
+
+    expect(Object.keys(users.indexes.email).sort()).toEqual(['createdAt', 'type', 'unique']);
+    expect(JSON.stringify(users)).not.toContain('test-key');
+    await expect(db.describeTable('missing')).rejects.toThrow();
+  });
+});
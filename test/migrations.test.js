@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+describe('versioned migrations', () => {
+  const context = useTempDatabase();
+
+  function writeMigration(name, up, down) {
+    const dir = path.join(context.dbPath, 'migrations');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${name}.js`), `module.exports = {\n  up: ${up},\n  down: ${down}\n};\n`);
+  }
+
+  function ledger() {
+    return JSON.parse(fs.readFileSync(path.join(context.dbPath, '.dapbase-migrations.json'), 'utf-8'));
+  }
+
+  beforeEach(() => {
+    writeMigration('20240101000000_create_users',
+      "async (db) => { await db.createTable('users', { name: 'text' }); }",
+      "async (db) => { await db.dropTable('users', { silent: true }); }");
+    writeMigration('20240102000000_seed_users',
+      "async (db) => { await db.insert('users', { name: 'Ada' }, { silent: true }); }",
+      "async (db) => { await db.delete('users', { name: 'Ada' }, { silent: true }); }");
+  });
+
+  test('createMigration writes an empty up/down file named after the current time', () => {
+    const filePath = db.createMigration('add_full_name', { silent: true });
+
+    expect(path.basename(filePath)).toMatch(/^\d{14}_add_full_name\.js$/);
+    const migration = require(filePath);
+    expect(typeof migration.up).toBe('function');
+    expect(typeof migration.down).toBe('function');
+    expect(() => db.createMigration('bad name')).toThrow('Migration name');
+  });
+
+  test('migrateUp runs pending migrations in order and records them in the ledger', async () => {
+    expect(await db.migrateUp({ silent: true })).toEqual(['20240101000000_create_users', '20240102000000_seed_users']);
+    expect(await db.select('users', { silent: true })).toMatchObject([{ name: 'Ada' }]);
+    expect(ledger().applied.map(entry => entry.name)).toEqual(['20240101000000_create_users', '20240102000000_seed_users']);
+    expect(await db.migrateUp({ silent: true })).toEqual([]);
+  });
+
+  test('migrateUp stops after `to`', async () => {
+    expect(await db.migrateUp({ to: '20240101000000_create_users', silent: true })).toEqual(['20240101000000_create_users']);
+    expect(await db.migrationStatus()).toMatchObject([
+      { name: '20240101000000_create_users', applied: true, appliedAt: expect.any(String) },
+      { name: '20240102000000_seed_users', applied: false, appliedAt: null }
+    ]);
+    await expect(db.migrateUp({ to: '20240101000000_create_users', silent: true })).rejects.toThrow('not a pending migration');
+  });
+
+  test('migrateDown rolls back the newest migrations first', async () => {
+    await db.migrateUp({ silent: true });
+
+    expect(await db.migrateDown({ silent: true })).toEqual(['20240102000000_seed_users']);
+    expect(await db.count('users')).toBe(0);
+    expect(await db.migrateDown({ steps: 5, silent: true })).toEqual(['20240101000000_create_users']);
+    expect(fs.existsSync(path.join(context.dbPath, 'users.table'))).toBe(false);
+    expect(ledger().applied).toEqual([]);
+  });
+
+  test('a migration that throws leaves no changes and stays pending', async () => {
+    writeMigration('20240103000000_broken',
+      "async (db) => { await db.insert('users', { name: 'Bob' }, { silent: true }); throw new Error('boom'); }",
+      'async () => {}');
+
+    await expect(db.migrateUp({ silent: true })).rejects.toThrow('boom');
+
+    expect(await db.select('users', { silent: true })).toMatchObject([{ name: 'Ada' }]);
+    expect((await db.migrationStatus()).map(entry => entry.applied)).toEqual([true, true, false]);
+  });
+
+  test('status lists applied migrations whose file is gone', async () => {
+    await db.migrateUp({ silent: true });
+    fs.unlinkSync(path.join(context.dbPath, 'migrations', '20240102000000_seed_users.js'));
+
+    expect(await db.migrationStatus()).toMatchObject([
+      { name: '20240101000000_create_users', applied: true },
+      { name: '20240102000000_seed_users', applied: true, missing: true }
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('ordering and cursor pagination', () => {
+  useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('people', { last: 'text', first: 'text', age: 'int', code: 'text' });
+    await db.insertMany('people', [
+      { last: 'smith', first: 'Ann', age: 30, code: 'item10' },
+      { last: 'Jones', first: 'Bob', age: 41, code: 'item9' },
+      { last: 'smith', first: 'Cat', age: 52, code: 'item1' },
+      { last: 'jones', first: 'Dan', age: 25, code: 'item2' }
+    ], { silent: true });
+  });
+
+  async function firstNames(options) {
+    return (await db.select('people', { ...options, silent: true })).map(row => row.first);
+  }
+
+  test('order by several columns, each in its own direction', async () => {
+    expect(await firstNames({ orderBy: [['last', 'asc'], ['age', 'desc']] })).toEqual(['Bob', 'Dan', 'Cat', 'Ann']);
+  });
+
+  test('order with a collation', async () => {
+    expect(await firstNames({ orderBy: [['last', 'asc'], ['age', 'asc']], collation: { caseInsensitive: true } }))
+      .toEqual(['Dan', 'Bob', 'Ann', 'Cat']);
+    expect(await firstNames({ orderBy: [['code', 'asc', { numeric: true }]] })).toEqual(['Cat', 'Dan', 'Bob', 'Ann']);
+  });
+
+  test('page with cursors without skipping or repeating rows that were inserted meanwhile', async () => {
+    const seen = [];
+    let after;
+    do {
+      const page = await db.paginate('people', { orderBy: ['age', 'asc'], limit: 2, after, silent: true });
+      seen.push(...page.rows.map(row => row.first));
+      after = page.nextCursor;
+      if (seen.length === 2) await db.insert('people', { last: 'early', first: 'Eve', age: 20 }, { silent: true });
+    } while (after);
+
+    expect(seen).toEqual(['Dan', 'Ann', 'Bob', 'Cat']);
+  });
+
+  test('reject a cursor from another query', async () => {
+    const { nextCursor } = await db.paginate('people', { orderBy: ['age', 'asc'], limit: 1, silent: true });
+
+    await expect(db.paginate('people', { orderBy: ['last', 'asc'], after: nextCursor, silent: true }))
+      .rejects.toThrow('Pagination cursor does not match this orderBy');
+    await expect(db.paginate('people', { orderBy: ['age', 'asc'], after: 'not-a-cursor', silent: true }))
+      .rejects.toThrow('Invalid pagination cursor');
+  });
+});
@@ -0,0 +1,104 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('referential actions', () => {
+  useTempDatabase({ lockTimeout: 2000 });
+
+  test('concurrent updates on unrelated tables do not deadlock', async () => {
+    await db.createTable('a', { name: 'text' });
+    await db.createTable('b', { name: 'text' });
+    await db.insert('a', { name: 'a1' }, { silent: true });
+    await db.insert('b', { name: 'b1' }, { silent: true });
+
+    const results = await Promise.allSettled([
+      db.update('a', { name: 'a2' }, { name: 'a1' }, { silent: true }),
+      db.update('b', { name: 'b2' }, { name: 'b1' }, { silent: true })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+    expect(results.map(result => result.value.count)).toEqual([1, 1]);
+  });
+
+  test('concurrent writes on tables that reference each other both complete', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'cascade' }
+    });
+    const user = await db.insert('users', { name: 'ada' }, { silent: true });
+    await db.insert('posts', { title: 'hello', user_id: user.id }, { silent: true });
+    const other = await db.insert('users', { name: 'bob' }, { silent: true });
+
+    const results = await Promise.allSettled([
+      db.delete('users', { id: other.id }, { silent: true }),
+      db.update('posts', { title: 'hi' }, { user_id: user.id }, { silent: true })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+    expect(await db.findOne('posts', { user_id: user.id })).toMatchObject({ title: 'hi' });
+  });
+
+  test('a cascading delete and an insert referencing the same table both complete', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'cascade' }
+    });
+    const gone = await db.insert('users', { name: 'ada' }, { silent: true });
+    const kept = await db.insert('users', { name: 'bob' }, { silent: true });
+    await db.insert('posts', { title: 'old', user_id: gone.id }, { silent: true });
+
+    const results = await Promise.allSettled([
+      db.delete('users', { id: gone.id }, { silent: true }),
+      db.insert('posts', { title: 'new', user_id: kept.id }, { silent: true })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+    expect((await db.select('posts', { silent: true })).map(post => post.title)).toEqual(['new']);
+  });
+
+  test('a cascading delete still removes referencing rows', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'cascade' }
+    });
+    const user = await db.insert('users', { name: 'ada' }, { silent: true });
+    await db.insert('posts', { title: 'hello', user_id: user.id }, { silent: true });
+
+    await db.delete('users', { id: user.id }, { silent: true });
+
+    expect(await db.count('posts')).toBe(0);
+  });
+
+  test('rows changed by setNull are validated like any update', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: { type: 'uuid', required: true } }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'setNull' }
+    });
+    const user = await db.insert('users', { name: 'ada' }, { silent: true });
+    await db.insert('posts', { title: 'hello', user_id: user.id }, { silent: true });
+
+    const error = await db.delete('users', { id: user.id }, { silent: true }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(db.DapbaseValidationError);
+    expect(error).toMatchObject({ table: 'posts', errors: [expect.objectContaining({ field: 'user_id', rule: 'required' })] });
+    expect(await db.count('users')).toBe(1);
+  });
+
+  test('rows changed by beforeUpdate hooks during a cascade are validated', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id', onDelete: 'setNull' }
+    });
+    await db.addCheck('posts', 'titled', "title != ''");
+    const user = await db.insert('users', { name: 'ada' }, { silent: true });
+    await db.insert('posts', { title: 'hello', user_id: user.id }, { silent: true });
+    const unhook = db.hook('posts', 'beforeUpdate', row => ({ ...row, title: '' }));
+
+    try {
+      const error = await db.delete('users', { id: user.id }, { silent: true }).catch(caught => caught);
+      expect(error).toBeInstanceOf(db.DapbaseValidationError);
+      expect(error.errors).toEqual([expect.objectContaining({ rule: 'check', check: 'titled' })]);
+    } finally {
+      unhook();
+    }
+    expect(await db.findOne('posts', {})).toMatchObject({ title: 'hello', user_id: user.id });
+  });
+});
@@ -0,0 +1,79 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('include', () => {
+  useTempDatabase();
+  let ada;
+  let bob;
+  let hello;
+
+  beforeEach(async () => {
+    await db.createTable('users', { name: 'text' }, {}, {
+      relations: { posts: { type: 'hasMany', table: 'posts', foreignKey: 'user_id' } }
+    });
+    await db.createTable('tags', { label: 'text' });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id' }
+    }, {
+      relations: {
+        author: { type: 'belongsTo', table: 'users', foreignKey: 'user_id' },
+        comments: { type: 'hasMany', table: 'comments', foreignKey: 'post_id' },
+        tags: { type: 'manyToMany', table: 'tags', through: 'post_tags', foreignKey: 'post_id', otherKey: 'tag_id' }
+      }
+    });
+    await db.createTable('comments', { body: 'text', post_id: 'uuid', user_id: 'uuid' }, {}, {
+      relations: { author: { type: 'belongsTo', table: 'users', foreignKey: 'user_id' } }
+    });
+    await db.createTable('post_tags', { post_id: 'uuid', tag_id: 'uuid' });
+
+    ada = await db.insert('users', { name: 'Ada' }, { silent: true });
+    bob = await db.insert('users', { name: 'Bob' }, { silent: true });
+    hello = await db.insert('posts', { title: 'Hello', user_id: ada.id }, { silent: true });
+    await db.insert('posts', { title: 'Orphan' }, { silent: true });
+    const [news, draft] = await db.insertMany('tags', [{ label: 'news' }, { label: 'draft' }], { silent: true });
+    await db.insertMany('post_tags', [{ post_id: hello.id, tag_id: news.id }, { post_id: hello.id, tag_id: draft.id }], { silent: true });
+    await db.insertMany('comments', [
+      { body: 'First', post_id: hello.id, user_id: bob.id },
+      { body: 'Second', post_id: hello.id, user_id: ada.id }
+    ], { silent: true });
+  });
+
+  test('belongsTo loads an object or null', async () => {
+    const posts = await db.select('posts', { include: ['author'], orderBy: 'title', silent: true });
+
+    expect(posts[0]).toMatchObject({ title: 'Hello', author: { name: 'Ada' } });
+    expect(posts[1]).toMatchObject({ title: 'Orphan', author: null });
+  });
+
+  test('hasMany loads an array, empty when nothing matches', async () => {
+    const users = await db.select('users', { include: ['posts'], orderBy: 'name', silent: true });
+
+    expect(users[0].posts.map(post => post.title)).toEqual(['Hello']);
+    expect(users[1].posts).toEqual([]);
+  });
+
+  test('manyToMany loads rows through the join table, filtered and ordered', async () => {
+    const post = await db.findById('posts', hello.id, {
+      include: [{ relation: 'tags', where: { label: { $ne: 'nothing' } }, orderBy: 'label' }]
+    });
+    expect(post.tags.map(tag => tag.label)).toEqual(['draft', 'news']);
+
+    const filtered = await db.findById('posts', hello.id, { include: [{ relation: 'tags', where: { label: { $ne: 'draft' } } }] });
+    expect(filtered.tags.map(tag => tag.label)).toEqual(['news']);
+  });
+
+  test('nested includes load relations of included rows', async () => {
+    const post = await db.findOne('posts', { title: 'Hello' }, { include: ['comments.author'] });
+
+    expect(post.comments.map(comment => [comment.body, comment.author.name]).sort()).toEqual([['First', 'Bob'], ['Second', 'Ada']]);
+  });
+
+  test('included relations are kept when fields are picked', async () => {
+    const [post] = await db.select('posts', { where: { title: 'Hello' }, fields: ['title'], include: ['author'], silent: true });
+
+    expect(post).toEqual({ title: 'Hello', author: expect.objectContaining({ name: 'Ada' }) });
+  });
+
+  test('unknown relations are rejected', async () => {
+    await expect(db.select('posts', { include: ['editor'], silent: true })).rejects.toThrow('editor');
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+describe('schema changes', () => {
+  const context = useTempDatabase();
+  let ada;
+
+  function tableFile(name) {
+    return path.join(context.dbPath, `${name}.table`);
+  }
+
+  function schema(name) {
+    return JSON.parse(fs.readFileSync(tableFile(name), 'utf-8'));
+  }
+
+  beforeEach(async () => {
+    await db.createTable('users', { name: 'text', age: 'text' }, {}, {
+      relations: { posts: { type: 'hasMany', table: 'posts', foreignKey: 'user_id' } }
+    });
+    await db.createTable('posts', { title: 'text', user_id: 'uuid' }, {
+      user_id: { foreignTable: 'users', foreignKey: 'id' }
+    }, {
+      relations: { author: { type: 'belongsTo', table: 'users', foreignKey: 'user_id' } }
+    });
+    ada = await db.insert('users', { name: 'Ada', age: '36' }, { silent: true });
+    await db.insert('posts', { title: 'Hello', user_id: ada.id }, { silent: true });
+  });
+
+  describe('renameColumn', () => {
+    test('moves values and updates relationships pointing at the column', async () => {
+      await db.renameColumn('posts', 'user_id', 'author_id');
+
+      expect(await db.findOne('posts', { title: 'Hello' })).toMatchObject({ author_id: ada.id });
+      expect(schema('posts').relationships).toEqual({ author_id: expect.objectContaining({ foreignTable: 'users', foreignKey: 'id' }) });
+      expect(schema('posts').relations.author.foreignKey).toBe('author_id');
+      expect(schema('users').relations.posts.foreignKey).toBe('author_id');
+    });
+
+    test('rejects unknown, existing and id columns', async () => {
+      await expect(db.renameColumn('users', 'nope', 'x')).rejects.toThrow('does not exist');
+      await expect(db.renameColumn('users', 'name', 'age')).rejects.toThrow('already exists');
+      await expect(db.renameColumn('users', 'id', 'key')).rejects.toThrow('cannot be renamed');
+    });
+  });
+
+  describe('alterColumn', () => {
+    test('converts existing values to the new type', async () => {
+      const report = await db.alterColumn('users', 'age', 'int');
+
+      expect(report).toMatchObject({ column: 'age', converted: 1, failed: [] });
+      expect(await db.findById('users', ada.id)).toMatchObject({ age: 36 });
+      expect(schema('users').columns.age).toMatchObject({ type: 'int' });
+    });
+
+    test('reports failing rows and writes nothing', async () => {
+      const bob = await db.insert('users', { name: 'Bob', age: 'unknown' }, { silent: true });
+      const before = fs.readFileSync(tableFile('users'), 'utf-8');
+
+      expect(await db.alterColumn('users', 'age', 'int', { dryRun: true })).toMatchObject({
+        converted: 1,
+        failed: [{ id: bob.id, value: 'unknown' }]
+      });
+
+      const error = await db.alterColumn('users', 'age', 'int').catch(e => e);
+      expect(error.message).toContain(`row ${bob.id}`);
+      expect(error.rows).toEqual([expect.objectContaining({ id: bob.id })]);
+      expect(fs.readFileSync(tableFile('users'), 'utf-8')).toBe(before);
+    });
+
+    test('rejects duplicates when a column becomes unique', async () => {
+      await db.insert('users', { name: 'Ada', age: '20' }, { silent: true });
+
+      await expect(db.alterColumn('users', 'name', { unique: true })).rejects.toThrow('duplicate of row');
+    });
+  });
+
+  describe('renameTable', () => {
+    test('moves the file and updates relationships and relations pointing at it', async () => {
+      await db.renameTable('users', 'people');
+
+      expect(fs.existsSync(tableFile('users'))).toBe(false);
+      expect(await db.count('people')).toBe(1);
+      expect(schema('posts').relationships.user_id.foreignTable).toBe('people');
+      expect(schema('posts').relations.author.table).toBe('people');
+      await expect(db.renameTable('people', 'posts')).rejects.toThrow('already exists');
+    });
+  });
+
+  describe('dropTable', () => {
+    test('keeps a referenced table unless forced', async () => {
+      await expect(db.dropTable('users')).rejects.toThrow('posts.user_id');
+      expect(fs.existsSync(tableFile('users'))).toBe(true);
+
+      await db.dropTable('users', { force: true });
+
+      expect(fs.existsSync(tableFile('users'))).toBe(false);
+      expect(schema('posts').relationships).toEqual({});
+      expect(schema('posts').relations).toEqual({});
+    });
+
+    test('counts named relations as references too', async () => {
+      await expect(db.dropTable('posts')).rejects.toThrow('users.posts');
+
+      await db.dropTable('posts', { force: true });
+
+      expect(fs.existsSync(tableFile('posts'))).toBe(false);
+      expect(schema('users').relations).toEqual({});
+    });
+  });
+});
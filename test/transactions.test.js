@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { db, useTempDatabase } = require('./helpers');
+
+describe('transactions', () => {
+  const context = useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('orders', { item: 'text', qty: 'int' });
+    await db.createTable('stock', { item: 'text', qty: 'int' });
+    await db.insert('stock', { item: 'apple', qty: 5 }, { silent: true });
+  });
+
+  test('commit the writes of every table together', async () => {
+    await db.transaction(async tx => {
+      await tx.insert('orders', { item: 'apple', qty: 2 }, { silent: true });
+      await tx.update('stock', { qty: 3 }, { item: 'apple' }, { silent: true });
+    });
+
+    expect(await db.select('orders', { silent: true })).toEqual([expect.objectContaining({ item: 'apple', qty: 2 })]);
+    expect(await db.findOne('stock', { item: 'apple' })).toMatchObject({ qty: 3 });
+  });
+
+  test('write nothing when the callback throws', async () => {
+    const before = fs.readFileSync(path.join(context.dbPath, 'stock.table'), 'utf-8');
+
+    await expect(db.transaction(async tx => {
+      await tx.insert('orders', { item: 'apple', qty: 2 }, { silent: true });
+      await tx.update('stock', { qty: 3 }, { item: 'apple' }, { silent: true });
+      throw new Error('payment declined');
+    })).rejects.toThrow('payment declined');
+
+    expect(await db.count('orders')).toBe(0);
+    expect(fs.readFileSync(path.join(context.dbPath, 'stock.table'), 'utf-8')).toBe(before);
+    expect(fs.readdirSync(context.dbPath).filter(name => name.endsWith('.lock'))).toEqual([]);
+  });
+
+  test('see their own staged writes', async () => {
+    const counts = await db.transaction(async tx => {
+      await tx.insert('orders', { item: 'apple', qty: 1 }, { silent: true });
+      return [await tx.count('orders'), await db.count('orders')];
+    });
+
+    expect(counts).toEqual([1, 0]);
+  });
+
+  test('run after* hooks once committed, in the order of the writes', async () => {
+    const calls = [];
+    const unhook = [
+      db.hook('orders', 'afterInsert', async row => calls.push(['orders', row.qty, await db.count('orders')])),
+      db.hook('stock', 'afterUpdate', row => calls.push(['stock', row.qty]))
+    ];
+
+    try {
+      await db.transaction(async tx => {
+        await tx.insert('orders', { item: 'apple', qty: 2 }, { silent: true });
+        await tx.update('stock', { qty: 3 }, { item: 'apple' }, { silent: true });
+        calls.push(['callback done']);
+      });
+      await expect(db.transaction(async tx => {
+        await tx.insert('orders', { item: 'apple', qty: 9 }, { silent: true });
+        throw new Error('rolled back');
+      })).rejects.toThrow('rolled back');
+    } finally {
+      unhook.forEach(remove => remove());
+    }
+
+    expect(calls).toEqual([['callback done'], ['orders', 2, 1], ['stock', 3]]);
+  });
+});
@@ -0,0 +1,43 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('update operators and operator-based where', () => {
+  useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('posts', { title: 'text', views: 'int', score: 'float', tags: 'array', status: 'text', legacy: 'text', notes: 'text' });
+    await db.insertMany('posts', [
+      { title: 'a', views: 1, score: 2, tags: ['x', 'spam'], status: 'draft', legacy: 'old' },
+      { title: 'b', views: 10, tags: [], status: 'published' }
+    ], { silent: true });
+  });
+
+  test('change values in place', async () => {
+    await db.update('posts', {
+      $inc: { views: 2 },
+      $mul: { score: 1.5 },
+      $push: { tags: 'new' },
+      $pull: { tags: { $in: ['spam'] } },
+      $set: { status: 'published' },
+      $unset: { legacy: true }
+    }, { title: 'a' }, { silent: true });
+    await db.update('posts', { $rename: { status: 'notes' } }, { title: 'b' }, { silent: true });
+
+    const [a, b] = await db.select('posts', { orderBy: 'title', silent: true });
+    expect(a).toMatchObject({ views: 3, score: 3, tags: ['x', 'new'], status: 'published' });
+    expect(a).not.toHaveProperty('legacy');
+    expect(b).toMatchObject({ notes: 'published' });
+    expect(b).not.toHaveProperty('status');
+  });
+
+  test('reject unknown operators and operators mixed with plain fields', async () => {
+    await expect(db.update('posts', { $bump: { views: 1 } }, { title: 'a' }, { silent: true })).rejects.toThrow(/Unknown update operator/);
+    await expect(db.update('posts', { $inc: { views: 1 }, title: 'c' }, { title: 'a' }, { silent: true })).rejects.toThrow(/Unknown update operator/);
+  });
+
+  test('update and delete match with the select where engine', async () => {
+    expect(await db.update('posts', { $inc: { views: 1 } }, { views: { $gte: 5 } }, { silent: true })).toMatchObject({ count: 1 });
+    expect(await db.delete('posts', { $or: [{ status: 'draft' }, { views: { $lt: 0 } }] }, { silent: true })).toMatchObject({ count: 1 });
+
+    expect((await db.select('posts', { silent: true })).map(row => [row.title, row.views])).toEqual([['b', 11]]);
+  });
+});
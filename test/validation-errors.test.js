@@ -0,0 +1,67 @@
+const { db, useTempDatabase } = require('./helpers');
+
+const { DapbaseValidationError } = db;
+
+describe('validation errors', () => {
+  useTempDatabase({ keys: { default: 'test-key' } });
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('expected a rejection');
+  }
+
+  test('unique index violations name the field', async () => {
+    await db.createTable('users', { email: { type: 'text', unique: true } }, {}, {
+      encryption: { fields: ['email'], blindIndex: ['email'] }
+    });
+    await db.insert('users', { email: 'a@example.com' }, { silent: true });
+
+    const error = await rejection(db.insert('users', { email: 'a@example.com' }, { silent: true }));
+
+    expect(error).toBeInstanceOf(DapbaseValidationError);
+    expect(error).toMatchObject({ code: 'EVALIDATION', table: 'users', errors: [{ field: 'email', rule: 'unique' }] });
+    expect(error.rowId).toEqual(expect.any(String));
+    expect(error.message).toMatch(/^Unique index violation/);
+  });
+
+  test('unique index violations name the row being written', async () => {
+    await db.createTable('users', { email: 'text' });
+    await db.addIndex('users', 'email', { unique: true });
+    const first = await db.insert('users', { email: 'a@example.com' }, { silent: true });
+    await db.insert('users', { email: 'b@example.com' }, { silent: true });
+
+    const error = await rejection(db.update('users', { email: 'b@example.com' }, { id: first.id }, { silent: true }));
+
+    expect(error).toBeInstanceOf(DapbaseValidationError);
+    expect(error).toMatchObject({ rowId: first.id, errors: [{ field: 'email', rule: 'unique' }] });
+  });
+
+  test('foreign key violations name the field and row', async () => {
+    await db.createTable('users', { name: 'text' });
+    await db.createTable('posts', { user_id: 'uuid' }, { user_id: { foreignTable: 'users', foreignKey: 'id' } });
+
+    const error = await rejection(db.insert('posts', { id: '11111111-1111-4111-8111-111111111111', user_id: '00000000-0000-4000-8000-000000000000' }, { silent: true }));
+
+    expect(error).toBeInstanceOf(DapbaseValidationError);
+    expect(error).toMatchObject({ table: 'posts', rowId: '11111111-1111-4111-8111-111111111111', errors: [{ field: 'user_id', rule: 'foreignKey' }] });
+    expect(error.message).toMatch(/^Foreign key violation/);
+  });
+
+  test('update skips invalid rows but throws everything else', async () => {
+    db.registerValidator('slowCheck', value => Promise.resolve(value !== 'bad'));
+    await db.createTable('items', { name: 'text', code: { type: 'text', validate: 'slowCheck' }, qty: { type: 'int', min: 0 } });
+    await db.insert('items', { name: 'a', qty: 1 }, { silent: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(db.update('items', { qty: -1 }, { name: 'a' }, { silent: true })).resolves.toMatchObject({ count: 0 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Update validation failed/), expect.any(String));
+
+    await expect(db.update('items', { code: 'x' }, { name: 'a' }, { silent: true })).rejects.toThrow(/returned a promise/);
+    expect(await db.findOne('items', { name: 'a' })).toMatchObject({ qty: 1 });
+    expect((await db.findOne('items', { name: 'a' })).code).toBeUndefined();
+  });
+});
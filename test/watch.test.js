@@ -0,0 +1,30 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('watch', () => {
+  useTempDatabase();
+  let unwatch;
+
+  beforeEach(async () => {
+    await db.createTable('items', { name: 'text' });
+    await db.insert('items', { name: 'a' }, { silent: true });
+  });
+
+  afterEach(() => {
+    if (unwatch) unwatch();
+  });
+
+  test('reports rows changed by API calls that are not row writes', async () => {
+    const events = [];
+    unwatch = db.watch('items', change => events.push([change.type, change.source, change.after && change.after.name]));
+
+    await db.migrate('items', row => ({ ...row, name: row.name.toUpperCase() }));
+    await db.addColumn('items', 'size', { type: 'int', default: 1 });
+    await db.dropTable('items');
+
+    expect(events).toEqual([
+      ['update', 'api', 'A'],
+      ['update', 'api', 'A'],
+      ['delete', 'api', null]
+    ]);
+  });
+});
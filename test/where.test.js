@@ -0,0 +1,37 @@
+const { db, useTempDatabase } = require('./helpers');
+
+describe('where clauses', () => {
+  useTempDatabase();
+
+  beforeEach(async () => {
+    await db.createTable('people', { name: 'text', nick: 'text', age: 'int', address: 'json' });
+    await db.insertMany('people', [
+      { name: 'Ada', nick: 'nullable', age: 36, address: { city: 'London' } },
+      { name: 'Bob', nick: null, age: 17, address: { city: 'Lagos' } },
+      { name: 'Cy', nick: 'cy', age: 52 },
+      { name: 'Dee', age: 70, address: { city: 'Paris' } }
+    ], { silent: true });
+  });
+
+  async function names(where) {
+    return (await db.select('people', { where, silent: true })).map(row => row.name);
+  }
+
+  test('combine clauses with $or, $and, $not and $nor', async () => {
+    expect(await names({ $or: [{ age: { $lt: 18 } }, { name: 'Cy' }] })).toEqual(['Bob', 'Cy']);
+    expect(await names({ $and: [{ age: { $gte: 18 } }, { $not: { name: 'Cy' } }] })).toEqual(['Ada', 'Dee']);
+    expect(await names({ $nor: [{ name: 'Ada' }, { age: { $between: [50, 60] } }] })).toEqual(['Bob', 'Dee']);
+  });
+
+  test('follow dotted paths into json columns', async () => {
+    expect(await names({ 'address.city': { $startsWith: 'L' } })).toEqual(['Ada', 'Bob']);
+    expect(await names({ 'address.city': { $exists: false } })).toEqual(['Cy']);
+  });
+
+  test('string operators never match a missing or null value', async () => {
+    expect(await names({ nick: { $like: 'nul%' } })).toEqual(['Ada']);
+    expect(await names({ nick: { $ilike: 'NULL%' } })).toEqual(['Ada']);
+    expect(await names({ nick: { $regex: '^undef' } })).toEqual([]);
+    expect(await names({ nick: { $endsWith: 'ned' } })).toEqual([]);
+  });
+});